@@ -0,0 +1,122 @@
+// admin.js — Netlify Function d'administration (SMES), hors front client.
+// GET ?usage=true&from=YYYY-MM-DD&to=YYYY-MM-DD[&tenant=OXYANE] → consommation par tenant et par jour (lib/usage.js)
+// GET ?audit=true&from=…&to=…[&tenant=…][&format=csv] → journal d'audit de la période (lib/audit.js), JSON ou CSV
+// Accès: en-tête X-Admin-Key (ou Authorization: Bearer) égal à la variable ADMIN_KEY.
+
+import { AUDIT_MAX_EVENTS, auditToCsv, readAudit } from "./lib/audit.js";
+import { isAdminRequest } from "./lib/auth.js";
+import { connectBlobs } from "./lib/blobs.js";
+import { errorResponse, requestIdOf, withRequestId } from "./lib/errors.js";
+import { getTenant } from "./lib/tenants.js";
+import { readUsage } from "./lib/usage.js";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "X-Admin-Key, Authorization",
+  "Access-Control-Expose-Headers": "X-Request-Id, X-Audit-Truncated, Content-Disposition"
+};
+
+// Période lue au plus (une liste Blobs par jour)
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 24 * 3600 * 1000;
+
+const withCors = (response) => ({ ...response, headers: { ...CORS_HEADERS, ...response.headers } });
+
+function jsonResponse(data) {
+  return withCors({
+    statusCode: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+    body: JSON.stringify(data)
+  });
+}
+
+// "YYYY-MM-DD" valide → même chaîne, sinon fallback
+function isoDay(value, fallback) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "") && Number.isFinite(Date.parse(value)) ? value : fallback;
+}
+
+// Période et tenant demandés → { from, to, tenant } ou { error } (réponse d'erreur)
+function readPeriod(qp) {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = isoDay(qp.to, today);
+  const from = isoDay(qp.from, to);
+  const span = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (span < 1 || span > MAX_RANGE_DAYS) {
+    return { error: errorResponse(400, "BAD_REQUEST", `Période invalide (1 à ${MAX_RANGE_DAYS} jours)`) };
+  }
+
+  let tenant = "";
+  if (qp.tenant) {
+    tenant = getTenant(qp.tenant)?.tenant;
+    if (!tenant) return { error: errorResponse(404, "NOT_FOUND", "Tenant inconnu") };
+  }
+  return { from, to, tenant };
+}
+
+async function usageReport(qp) {
+  const { from, to, tenant, error } = readPeriod(qp);
+  if (error) return error;
+
+  const days = await readUsage({ from, to, tenant });
+  if (!days) return errorResponse(501, "NOT_SUPPORTED", "Netlify Blobs indisponible: compteurs d'usage non enregistrés");
+
+  // Cumul de la période par tenant
+  const totals = {};
+  for (const d of days) {
+    const t = totals[d.tenant] || (totals[d.tenant] = { requests: 0, bytes: 0, received: 0, errors: 0, limited: 0 });
+    for (const field of Object.keys(t)) t[field] += d[field];
+  }
+  return jsonResponse({ from, to, tenant: tenant || null, totals, days });
+}
+
+async function auditReport(qp) {
+  const { from, to, tenant, error } = readPeriod(qp);
+  if (error) return error;
+
+  const log = await readAudit({ from, to, tenant });
+  if (!log) return errorResponse(501, "NOT_SUPPORTED", "Netlify Blobs indisponible: journal d'audit non enregistré");
+
+  if (String(qp.format || "").toLowerCase() === "csv") {
+    const fileName = `audit_${tenant || "tous"}_${from}_${to}.csv`;
+    return withCors({
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "Cache-Control": "no-store",
+        // Plafond atteint : l'export est incomplet, à redemander sur une période plus courte
+        "X-Audit-Truncated": String(log.truncated)
+      },
+      // BOM: accents corrects à l'ouverture dans Excel
+      body: "\uFEFF" + auditToCsv(log.events)
+    });
+  }
+  return jsonResponse({ from, to, tenant: tenant || null, truncated: log.truncated, maxEvents: AUDIT_MAX_EVENTS, events: log.events });
+}
+
+export async function handler(event) {
+  const requestId = requestIdOf(event.headers);
+  const method = event.httpMethod || "GET";
+  if (method === "OPTIONS") return withCors({ statusCode: 204, body: "" });
+
+  connectBlobs(event);
+  const respond = (response) => withRequestId(withCors(response), requestId);
+
+  if (method !== "GET") {
+    return respond(errorResponse(405, "METHOD_NOT_ALLOWED", "Méthode non autorisée", { headers: { "Allow": "GET, OPTIONS" } }));
+  }
+  if (!isAdminRequest(event)) {
+    return respond(errorResponse(401, "AUTH_REQUIRED", "Clé d'administration requise"));
+  }
+
+  const qp = event.queryStringParameters || {};
+  try {
+    if (qp.usage) return respond(await usageReport(qp));
+    if (qp.audit) return respond(await auditReport(qp));
+    return respond(errorResponse(400, "BAD_REQUEST", "Route admin inconnue (usage=true ou audit=true)"));
+  } catch (err) {
+    console.error("Erreur admin:", err);
+    return respond(errorResponse(500, "INTERNAL_ERROR", "Erreur interne admin"));
+  }
+}
@@ -1,11 +1,31 @@
-// drive.js — Netlify Function (Node 18+)
-// Lecture & upload Google Drive via Service Account, CORS stable, stateless, retries.
-// Vars requises côté Netlify: GOOGLE_SERVICE_ACCOUNT_JSON (JSON complet) et facultatif: DOMAINS_ALLOWED (CSV)
+// drive.js — Netlify Function (Node 18.20+ ou 20.10+, cf. engines dans package.json)
+// Lecture & upload des fichiers d'un tenant (Google Drive via Service Account, ou dossier local
+// cf. lib/storage), CORS stable, stateless, retries.
+// Vars requises côté Netlify: GOOGLE_SERVICE_ACCOUNT_JSON (JSON complet), AUTH_SECRET, TENANT_KEYS (cf. lib/auth.js)
+// et facultatif: DOMAINS_ALLOWED (CSV), DRIVE_ROOT_ID (sinon config.json), LOCAL_STORAGE_DIR
 
-import { google } from "googleapis";
+import crypto from "crypto";
+import { auditOutcome, auditSource, recordAudit } from "./lib/audit.js";
+import { authenticate, findTenantByKey, signToken } from "./lib/auth.js";
+import { connectBlobs } from "./lib/blobs.js";
+import {
+  errorResponse, readUpstreamError, requestIdOf, upstreamErrorResponse, withRequestId
+} from "./lib/errors.js";
+import { DRIVE_API, UPLOAD_URL, fetchWithRetry } from "./lib/google.js";
+import {
+  FOLDER_MIME, SHORTCUT_MIME, guessMimeType, isWorkspaceMime, resolveShortcut, workspaceExportFormat, workspaceFormats
+} from "./lib/mime.js";
+import { checkClientLimit, checkTenantLimit, clientKey } from "./lib/ratelimit.js";
+import {
+  cachedFolderInfo, chainOfParents, folderChain, forgetStructure, getFolderInfo, isInTenantScope, scopeDenied,
+  tenantScopeRoots
+} from "./lib/scope.js";
+import { getStorage } from "./lib/storage/index.js";
+import { getTenant, publicConfig, subscriptionStatus } from "./lib/tenants.js";
+import { recordUsage } from "./lib/usage.js";
 
 /* =========================
-   Utils: CORS & Retry
+   Utils: CORS
    ========================= */
 
 function parseAllowedOrigins(originHeader) {
@@ -34,66 +54,1020 @@ function parseAllowedOrigins(originHeader) {
   return allowOrigin;
 }
 
-function corsResponse({ statusCode = 200, body = "", headers = {} }, allowOrigin) {
+const EXPOSED_HEADERS =
+  "Content-Range, Content-Length, Accept-Ranges, ETag, Last-Modified, X-Subscription-Status, X-Subscription-Lock-At, " +
+  "X-Subscription-Expiry, " +
+  "X-Request-Id, Retry-After";
+
+function corsResponse({ statusCode = 200, body = "", headers = {}, isBase64Encoded = false }, allowOrigin) {
   return {
     statusCode,
     headers: {
       "Access-Control-Allow-Origin": allowOrigin,
       "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With, Range, If-Range",
+      // Le front (autre origine) doit pouvoir lire ces en-têtes (morceaux, état d'abonnement)
+      "Access-Control-Expose-Headers": EXPOSED_HEADERS,
       "Access-Control-Max-Age": "600", // 10 min: préflight cache côté navigateur
+      "Vary": "Origin, Authorization",
       ...headers,
+      // Jamais de cache CDN : le jeton part souvent en ?auth=, un hit CDN sauterait authenticate(),
+      // l'audit et les limites de débit. Réutilisation par le navigateur seul (private + ETag/304)
+      "Netlify-CDN-Cache-Control": "no-store",
     },
-    body
+    body,
+    ...(isBase64Encoded ? { isBase64Encoded: true } : {})
   };
 }
 
-async function fetchWithRetry(url, options, { attempts = 4, baseDelayMs = 250 } = {}) {
-  let lastErr, res;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      res = await fetch(url, options);
-      // Retry sur 429 et 5xx
-      if (res.ok || ![429, 500, 502, 503, 504].includes(res.status)) return res;
-    } catch (e) {
-      lastErr = e;
+/* =========================
+   Utils: Range / téléchargement par morceaux
+   ========================= */
+
+// Une réponse Netlify (Lambda) est limitée à ~6 Mo, et le base64 gonfle de 33 % :
+// on ne renvoie jamais plus de RANGE_CHUNK_BYTES octets bruts par appel.
+const RANGE_CHUNK_BYTES = 4 * 1024 * 1024;
+// Au-delà de ce seuil, un GET sans Range renvoie directement le 1er morceau en 206
+// (le lecteur vidéo, le lecteur PDF et fetchDrive() côté front demandent la suite).
+const STREAM_THRESHOLD_BYTES = RANGE_CHUNK_BYTES;
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// "bytes=0-499", "bytes=500-", "bytes=-500" → { start, end } ; null si absent/ignoré ;
+// { unsatisfiable: true } si hors fichier. Une seule plage gérée (pas de multipart/byteranges).
+function parseRangeHeader(rangeHeader, size) {
+  if (!rangeHeader || !Number.isFinite(size)) return null;
+  const m = String(rangeHeader).trim().match(/^bytes=(\d*)-(\d*)$/i);
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+
+  let start, end;
+  if (m[1] === "") {
+    // Suffixe: les N derniers octets
+    const suffix = parseInt(m[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === "" ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+
+  if (start >= size || end < start) return { unsatisfiable: true };
+  return { start, end };
+}
+
+// If-Range: la plage n'est honorée que si le validateur correspond toujours au fichier
+function ifRangeMatches(ifRange, etag, lastModified) {
+  if (!ifRange) return true;
+  const v = String(ifRange).trim();
+  if (v.startsWith('"') || v.startsWith("W/")) return v === etag; // comparaison forte
+  const since = Date.parse(v);
+  const modified = Date.parse(lastModified);
+  return Number.isFinite(since) && Number.isFinite(modified) && modified <= since;
+}
+
+function buildEtag(meta) {
+  const v = meta?.md5Checksum || meta?.modifiedTime;
+  return v ? `"${v}"` : undefined;
+}
+
+// ETag d'un listing (ou d'une arborescence): empreinte des id / nom / modifiedTime / md5 des éléments
+function listingEtag(files) {
+  const hash = crypto.createHash("sha1");
+  const walk = (list) => {
+    for (const f of list || []) {
+      hash.update(`${f.id}|${f.name}|${f.modifiedTime || ""}|${f.md5Checksum || ""}|${f.size || ""};`);
+      if (f.children) { hash.update("["); walk(f.children); hash.update("]"); }
+    }
+  };
+  walk(files);
+  return `"l-${hash.digest("base64url")}"`;
+}
+
+// If-None-Match: "*" ou liste d'ETags (comparaison faible, cf. RFC 9110)
+function ifNoneMatchMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  const weak = (v) => String(v).trim().replace(/^W\//, "");
+  return String(ifNoneMatch).split(",").some(v => v.trim() === "*" || weak(v) === weak(etag));
+}
+
+/* =========================
+   Utils: Upload (binaire / reprise)
+   ========================= */
+
+// Drive impose des morceaux multiples de 256 Kio (sauf le dernier) ; 4 Mio restent sous la limite
+// de 6 Mo d'une requête Netlify une fois encodés en base64.
+const UPLOAD_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Contenu d'un upload: "contentBase64" (binaire) ou "content" (texte, comportement historique)
+function decodeUploadContent(body) {
+  if (typeof body.contentBase64 === "string") return Buffer.from(body.contentBase64, "base64");
+  if (typeof body.content === "string") return Buffer.from(body.content, "utf8");
+  return null;
+}
+
+// Session de reprise: on ne renvoie au front que l'upload_id (précédé de "<ID du fichier>/" pour un
+// remplacement), l'URL est reconstruite ici
+function resumableSessionUrl(sessionId) {
+  const [fileId, uploadId] = String(sessionId).includes("/") ? String(sessionId).split("/") : ["", sessionId];
+  return `${UPLOAD_URL}${fileId ? `/${encodeURIComponent(fileId)}` : ""}?` + new URLSearchParams({
+    uploadType: "resumable",
+    supportsAllDrives: "true",
+    upload_id: uploadId
+  }).toString();
+}
+
+// Nom déjà pris dans le dossier cible (body.ifExists) :
+//   "overwrite" (défaut) → nouveau contenu sur le même ID, l'ancien reste une révision
+//   "rename" → on garde les deux, le nouveau devient "nom (2).ext" ; "fail" → 409 CONFLICT
+// → { ifExists, name, existingId? } ou réponse d'erreur. Deux uploads simultanés du même nom peuvent encore
+// créer un doublon (pas de verrou côté Drive).
+const UPLOAD_IF_EXISTS = ["overwrite", "rename", "fail"];
+const MAX_RENAME_ATTEMPTS = 20;
+
+async function resolveUploadTarget(body, storage) {
+  const ifExists = body.ifExists || "overwrite";
+  if (!UPLOAD_IF_EXISTS.includes(ifExists)) {
+    return errorResponse(400, "BAD_REQUEST", "Paramètre ifExists invalide (overwrite, rename ou fail)");
+  }
+
+  const found = await storage.findChild(body.parentId, body.name);
+  if (!found.ok) return upstreamErrorResponse(found, "Erreur recherche Drive");
+  const existing = found.file;
+  if (!existing) return { ifExists, name: body.name };
+
+  if (ifExists === "fail") {
+    return errorResponse(409, "CONFLICT", "Un fichier de ce nom existe déjà", { existingId: existing.id });
+  }
+
+  if (ifExists === "overwrite") {
+    // Dossier, raccourci ou fichier Google natif : pas de contenu binaire à remplacer
+    if (existing.mimeType?.startsWith("application/vnd.google-apps.")) {
+      return errorResponse(409, "CONFLICT", "Un élément de ce nom existe déjà et ne peut pas être remplacé", {
+        existingId: existing.id
+      });
+    }
+    return { ifExists, name: body.name, existingId: existing.id };
+  }
+
+  for (let n = 2; n < MAX_RENAME_ATTEMPTS + 2; n++) {
+    const name = body.name.replace(/(\.[^./]*)?$/, ` (${n})$1`);
+    const taken = await storage.findChild(body.parentId, name);
+    if (!taken.ok) return upstreamErrorResponse(taken, "Erreur recherche Drive");
+    if (!taken.file) return { ifExists, name };
+  }
+  return errorResponse(409, "CONFLICT", "Trop de fichiers homonymes dans ce dossier");
+}
+
+// Réponse Drive 308 "Resume Incomplete": Range = "bytes=0-N" → N+1 octets reçus
+function receivedBytesFrom(res) {
+  const m = (res.headers.get("range") || "").match(/bytes=0-(\d+)/);
+  return m ? Number(m[1]) + 1 : 0;
+}
+
+function uploadProgress(received, total) {
+  return total > 0 ? Math.min(100, Math.round((received / total) * 100)) : 0;
+}
+
+// Démarre / poursuit / interroge une session "uploadType=resumable" ;
+// target (début de session seulement) = résultat de resolveUploadTarget
+async function handleResumableUpload(body, token, target) {
+  const step = String(body.resumable);
+
+  if (step === "start") {
+    const total = Number(body.size);
+    const mimeType = body.mimeType || guessMimeType(body.name);
+    // Remplacement: session ouverte sur le fichier existant (PATCH), révision épinglée comme storage.update()
+    const replacing = Boolean(target.existingId);
+    const metadata = replacing ? { mimeType } : { name: target.name, parents: [body.parentId], mimeType };
+    const url = replacing
+      ? `${UPLOAD_URL}/${encodeURIComponent(target.existingId)}?uploadType=resumable&supportsAllDrives=true&keepRevisionForever=true`
+      : `${UPLOAD_URL}?uploadType=resumable&supportsAllDrives=true&keepRevisionForever=true`;
+
+    const res = await fetchWithRetry(url, {
+      method: replacing ? "PATCH" : "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json; charset=UTF-8",
+        "X-Upload-Content-Type": mimeType,
+        ...(Number.isFinite(total) && total > 0 ? { "X-Upload-Content-Length": String(total) } : {})
+      },
+      body: JSON.stringify(metadata)
+    });
+
+    const location = res.headers.get("location");
+    if (!res.ok || !location) {
+      if (res.ok) return errorResponse(502, "UPSTREAM_ERROR", "Erreur session upload Drive (Location absente)");
+      const upstream = await readUpstreamError(res);
+      console.error("Erreur session upload:", res.status, upstream.reason, upstream.message);
+      return upstreamErrorResponse({ status: res.status, upstream }, "Erreur session upload Drive");
+    }
+
+    const uploadId = new URL(location).searchParams.get("upload_id");
+    const sessionId = replacing ? `${target.existingId}/${uploadId}` : uploadId;
+    return {
+      statusCode: 200,
+      json: {
+        success: true, sessionId, chunkSize: UPLOAD_CHUNK_BYTES, received: 0, total, progress: 0, done: false,
+        name: target.name, replaced: replacing
+      }
+    };
+  }
+
+  if (!body.sessionId) {
+    return errorResponse(400, "BAD_REQUEST", "Paramètre sessionId manquant");
+  }
+  const total = Number(body.total);
+  if (!Number.isFinite(total) || total <= 0) {
+    return errorResponse(400, "BAD_REQUEST", "Paramètre total manquant");
+  }
+
+  let contentRange, data;
+  if (step === "status") {
+    // Reprise après coupure: on demande à Drive où il en est
+    contentRange = `bytes */${total}`;
+    data = Buffer.alloc(0);
+  } else if (step === "chunk") {
+    data = decodeUploadContent(body);
+    const offset = Number(body.offset);
+    if (!data || !data.length || !Number.isFinite(offset) || offset < 0) {
+      return errorResponse(400, "BAD_REQUEST", "Morceau d'upload invalide");
     }
-    const jitter = Math.random() * 100;
-    await new Promise(r => setTimeout(r, baseDelayMs * 2 ** i + jitter));
+    contentRange = `bytes ${offset}-${offset + data.length - 1}/${total}`;
+  } else {
+    return errorResponse(400, "BAD_REQUEST", "Étape resumable inconnue");
   }
-  if (!res) throw lastErr || new Error("fetchWithRetry: unknown error");
-  return res;
+
+  // redirect: "manual" → le 308 de Drive ne doit pas être suivi comme une redirection
+  const res = await fetchWithRetry(resumableSessionUrl(body.sessionId), {
+    method: "PUT",
+    redirect: "manual",
+    headers: { Authorization: `Bearer ${token}`, "Content-Range": contentRange },
+    body: data
+  });
+
+  if (res.status === 308) {
+    const received = receivedBytesFrom(res);
+    return {
+      statusCode: 200,
+      json: { success: true, sessionId: body.sessionId, received, total, progress: uploadProgress(received, total), done: false }
+    };
+  }
+
+  if (!res.ok) {
+    const upstream = await readUpstreamError(res);
+    console.error("Erreur upload morceau:", res.status, upstream.reason, upstream.message);
+    // 404/410: session expirée (1 semaine) → le front doit recommencer
+    if (res.status === 404 || res.status === 410) {
+      return errorResponse(410, "UPLOAD_SESSION_EXPIRED", "Session d'upload expirée", { upstream });
+    }
+    return upstreamErrorResponse({ status: res.status, upstream }, "Erreur upload Drive");
+  }
+
+  const result = await res.json().catch(() => ({}));
+  return {
+    statusCode: 200,
+    json: { success: true, id: result.id, received: total, total, progress: 100, done: true }
+  };
 }
 
 /* =========================
-   Auth: Service Account
+   Drive: listing & lecture
    ========================= */
 
-async function getAccessTokenFromServiceAccount() {
-  try {
-    const json = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-    if (!json) throw new Error("GOOGLE_SERVICE_ACCOUNT_JSON manquant");
-    const serviceJson = JSON.parse(json);
+// Vignettes (?thumb=…) : taille en pixels du plus grand côté, cache du navigateur seul pendant 30 jours
+// (pas de CDN : la réponse dépend du jeton du client, pas seulement de l'URL)
+const THUMB_DEFAULT_PX = 320;
+const THUMB_MAX_PX = 1600;
+const THUMB_CACHE_SECONDS = 30 * 24 * 3600;
 
-    const auth = new google.auth.GoogleAuth({
-      credentials: serviceJson,
-      scopes: ["https://www.googleapis.com/auth/drive"]
+// Listings récents par stockage + ID demandé → { at, requestedId, folderId, files } ;
+// même fraîcheur que le cache CDN (30 s). Sert aussi l'arborescence, le périmètre tenant et les analyses.
+const LISTING_CACHE_TTL_MS = 30 * 1000;
+const LISTING_CACHE_MAX = 500;
+const listingCache = new Map();
+
+// → { ok: true, folderId, files } ou { ok: false, status, upstream? }
+async function listFolderFiles(id, storage) {
+  const key = `${storage.type}:${id}`;
+  const hit = listingCache.get(key);
+  if (hit && Date.now() - hit.at < LISTING_CACHE_TTL_MS) {
+    return { ok: true, folderId: hit.folderId, files: hit.files };
+  }
+
+  const listed = await storage.list(id);
+  if (listed.ok) {
+    listingCache.delete(key);
+    listingCache.set(key, { at: Date.now(), requestedId: id, folderId: listed.folderId, files: listed.files });
+    // Map = ordre d'insertion → on évince le plus ancien
+    if (listingCache.size > LISTING_CACHE_MAX) listingCache.delete(listingCache.keys().next().value);
+  }
+  return listed;
+}
+
+// Upload ou changement Drive: on oublie le listing du dossier et ceux qui contiennent l'élément
+function invalidateListings({ folderId, fileId }) {
+  for (const [key, entry] of listingCache) {
+    const holdsFile = fileId && entry.files.some(f => f.id === fileId || realIdOf(f) === fileId);
+    if (entry.requestedId === folderId || entry.folderId === folderId || holdsFile) listingCache.delete(key);
+  }
+}
+
+function isFolderOrShortcutFolder(f) {
+  return f?.mimeType === FOLDER_MIME ||
+    (f?.mimeType === SHORTCUT_MIME && f?.shortcutDetails?.targetMimeType === FOLDER_MIME);
+}
+
+// ID réel (si shortcut → targetId, sinon id normal)
+function realIdOf(f) {
+  return f?.mimeType === SHORTCUT_MIME && f?.shortcutDetails?.targetId ? f.shortcutDetails.targetId : f?.id;
+}
+
+// Arborescence imbriquée: chaque dossier listé porte ses enfants dans "children" (jusqu'à depth niveaux).
+// Les dossiers au-delà de la profondeur demandée n'ont pas de "children".
+const TREE_MAX_DEPTH = 4;
+const TREE_CONCURRENCY = 4;
+
+async function buildFolderTree(id, depth, storage) {
+  const listed = await listFolderFiles(id, storage);
+  if (!listed.ok) return listed;
+
+  const children = await mapWithConcurrency(listed.files, TREE_CONCURRENCY, async (f) => {
+    const node = resolveShortcut(f);
+    if (depth > 1 && node.mimeType === FOLDER_MIME) {
+      const sub = await buildFolderTree(node.id, depth - 1, storage);
+      node.children = sub.ok ? sub.children : [];
+    }
+    return node;
+  });
+
+  return { ok: true, folderId: listed.folderId, children };
+}
+
+// Contenu texte complet d'un fichier (CSV logger, JSON notes…)
+async function downloadText(id, storage) {
+  const res = await storage.get(id);
+  return res.ok ? res.data.toString("utf8") : null;
+}
+
+// Exécute worker(item) sur items avec au plus `limit` appels Drive simultanés
+async function mapWithConcurrency(items, limit, worker) {
+  const out = new Array(items.length);
+  let i = 0;
+  async function next() {
+    while (i < items.length) {
+      const idx = i++;
+      out[idx] = await worker(items[idx], idx);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, next));
+  return out;
+}
+
+/* =========================
+   Analyse: jours chauds (🔥) par site
+   ========================= */
+
+// Mêmes règles que l'explorateur: 2e colonne "Sonde AC Inf/Sup", 40 < v < 300, hors nuit (< 5h)
+const HOT_MIN = 40;
+const HOT_MAX = 300;
+const HOT_START_HOUR = 5;
+const ANALYZE_CONCURRENCY = 6;
+// Netlify coupe la fonction à 10 s : on rend la main avant, le cache fera le reste au prochain appel
+const ANALYZE_TIME_BUDGET_MS = 8000;
+
+// fileId → { modifiedTime, hot } ; vit tant que l'instance de la fonction reste chaude
+const hotDayCache = new Map();
+
+function isTracaTempName(name) {
+  const n = String(name || "").toLowerCase();
+  return n.includes("traça_temp") || n.includes("traca_temp");
+}
+
+function csvHasHotValue(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length < 2) return false;
+
+  const headers = lines[0].split(",").map(h => h.replace(/"/g, "").trim().toLowerCase());
+  // 🔍 2ème occurrence (comme l'explorateur)
+  const idxInf = headers.map((h, i) => ({ h, i })).filter(o => o.h.includes("sonde ac inf"))[1]?.i;
+  const idxSup = headers.map((h, i) => ({ h, i })).filter(o => o.h.includes("sonde ac sup"))[1]?.i;
+  if (idxInf === undefined && idxSup === undefined) return false;
+
+  const isHot = v => Number.isFinite(v) && v > HOT_MIN && v < HOT_MAX;
+
+  for (let i = 1; i < lines.length; i++) {
+    const cols = lines[i].split(",").map(c => c.replace(/"/g, "").trim());
+
+    // 🕔 ignore la nuit
+    const m = (cols[0] || "").match(/^(\d{2}):(\d{2})/);
+    if (m && parseInt(m[1], 10) < HOT_START_HOUR) continue;
+
+    const vInf = idxInf !== undefined ? parseFloat(cols[idxInf]) : NaN;
+    const vSup = idxSup !== undefined ? parseFloat(cols[idxSup]) : NaN;
+    if (isHot(vInf) || isHot(vSup)) return true;
+  }
+  return false;
+}
+
+// Lit les CSV (en parallèle, dans le budget temps) et applique analyze(text) à chacun.
+// cache: fileId → { modifiedTime, value } ; un fichier non modifié n'est jamais relu.
+// → { values: Map(file → value), pending } ; pending = fichiers non analysés faute de temps
+async function analyzeCsvFiles(files, storage, cache, analyze) {
+  const deadline = Date.now() + ANALYZE_TIME_BUDGET_MS;
+  const values = new Map();
+  let pending = 0;
+
+  await mapWithConcurrency(files, ANALYZE_CONCURRENCY, async (f) => {
+    const fileId = realIdOf(f);
+
+    let entry = cache.get(fileId);
+    if (!entry || entry.modifiedTime !== f.modifiedTime) {
+      if (Date.now() > deadline) { pending++; return; }
+      const text = await downloadText(fileId, storage);
+      if (text === null) return;
+      entry = { modifiedTime: f.modifiedTime, value: analyze(text) };
+      cache.set(fileId, entry);
+    }
+    values.set(f, entry.value);
+  });
+
+  return { values, pending };
+}
+
+// → { ok, hotDays: { YYYYMMDD: true }, pending }
+async function analyzeSiteHotDays(siteId, storage) {
+  const site = await listFolderFiles(siteId, storage);
+  if (!site.ok) return site;
+
+  const tracatemp = site.files.find(f => isFolderOrShortcutFolder(f) && isTracaTempName(f.name));
+  if (!tracatemp) return { ok: true, hotDays: {}, pending: 0 };
+
+  const listed = await listFolderFiles(realIdOf(tracatemp), storage);
+  if (!listed.ok) return listed;
+
+  const csvFiles = listed.files.filter(f => /(\d{8})\.csv$/i.test(f.name));
+  const { values, pending } = await analyzeCsvFiles(csvFiles, storage, hotDayCache, csvHasHotValue);
+
+  const hotDays = {};
+  for (const [f, hot] of values) {
+    if (hot) hotDays[f.name.match(/(\d{8})\.csv$/i)[1]] = true;
+  }
+  return { ok: true, hotDays, pending };
+}
+
+/* =========================
+   Analyse: consommation gaz journalière
+   ========================= */
+
+// PCS retenu quand le compteur kWh est incohérent (kWh ≈ m³ × 32.3)
+const GAZ_KWH_PER_M3 = 32.3;
+const GAZ_KWH_MAX = 400000;
+// En dessous, la moyenne kWh/h n'est pas crédible → recalcul depuis les m³
+const GAZ_MIN_KWH_PER_HOUR = 1000;
+
+const gazCache = new Map();
+
+// Compteurs cumulés: colonne 2 = kWh, colonne 4 = m³ ; une minute est "active" si le kWh augmente
+function computeGazDay(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+
+  let diffMinutes = 0;
+  let diffKwh = 0;
+  let diffM3 = 0;
+
+  const num = v => parseFloat(String(v ?? "").replace(/"/g, ""));
+
+  if (lines.length > 2) {
+    const firstCols = lines[1].split(",");
+    const lastCols = lines[lines.length - 1].split(",");
+
+    const kFirst = num(firstCols[2]);
+    const kLast = num(lastCols[2]);
+    if (isFinite(kFirst) && isFinite(kLast)) diffKwh = kLast - kFirst;
+
+    const m3First = num(firstCols[4]);
+    const m3Last = num(lastCols[4]);
+    if (isFinite(m3First) && isFinite(m3Last)) diffM3 = m3Last - m3First;
+
+    for (let i = 1; i < lines.length; i++) {
+      const kPrev = num(lines[i - 1].split(",")[2]);
+      const kCurr = num(lines[i].split(",")[2]);
+      if (isFinite(kPrev) && isFinite(kCurr) && kCurr > kPrev) diffMinutes++;
+    }
+  }
+
+  // Aucune activité → jour ignoré côté affichage
+  if ((diffM3 === 0 || !isFinite(diffM3)) && (diffKwh === 0 || !isFinite(diffKwh))) {
+    return { active: false, kwh: 0, m3: 0, minutes: 0, kwhPerHour: null, kwhEstimated: false, avgEstimated: false };
+  }
+
+  let kwh = Math.round(diffKwh);
+  let kwhEstimated = false;
+  if (!isFinite(kwh) || kwh < 0 || kwh > GAZ_KWH_MAX) {
+    kwh = Math.round(diffM3 * GAZ_KWH_PER_M3);
+    kwhEstimated = true;
+  }
+
+  const hours = diffMinutes / 60;
+  let kwhPerHour = null;
+  let avgEstimated = false;
+  if (hours > 0 && kwh > 0) {
+    kwhPerHour = kwh / hours;
+    if (kwhPerHour < GAZ_MIN_KWH_PER_HOUR) {
+      kwh = Math.round(diffM3 * GAZ_KWH_PER_M3);
+      kwhPerHour = kwh / hours;
+      avgEstimated = true;
+      kwhEstimated = true;
+    }
+  }
+
+  return {
+    active: true,
+    kwh,
+    m3: Number(diffM3.toFixed(1)),
+    minutes: diffMinutes,
+    kwhPerHour: kwhPerHour === null ? null : Number(kwhPerHour.toFixed(1)),
+    kwhEstimated,
+    avgEstimated
+  };
+}
+
+// "2025-09-01" ou "20250901" → "20250901" ("" si absent/invalide)
+function compactDate(v) {
+  const d = String(v || "").replace(/-/g, "");
+  return /^\d{8}$/.test(d) ? d : "";
+}
+
+// → { ok, days: [{ date, fileId, name, active, kwh, m3, minutes, kwhPerHour, kwhEstimated, avgEstimated }], pending }
+async function analyzeGazFolder(folderId, start, end, storage) {
+  const listed = await listFolderFiles(folderId, storage);
+  if (!listed.ok) return listed;
+
+  const from = compactDate(start);
+  const to = compactDate(end);
+  const csvFiles = listed.files.filter(f => {
+    const m = f.name.match(/(\d{8})\.csv$/i);
+    return m && (!from || m[1] >= from) && (!to || m[1] <= to);
+  });
+
+  const { values, pending } = await analyzeCsvFiles(csvFiles, storage, gazCache, computeGazDay);
+
+  const days = [...values].map(([f, day]) => {
+    const d = f.name.match(/(\d{8})\.csv$/i)[1];
+    return {
+      date: `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}`,
+      fileId: realIdOf(f),
+      name: f.name,
+      ...day
+    };
+  }).sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+
+  return { ok: true, days, pending };
+}
+
+/* =========================
+   Changes: flux incrémental (scopé à la racine du tenant)
+   ========================= */
+
+const CHANGES_MAX_PAGES = 10;
+const CHANGE_FIELDS =
+  "nextPageToken,newStartPageToken," +
+  "changes(fileId,removed,time,file(id,name,mimeType,size,createdTime,modifiedTime,parents,trashed,shortcutDetails(targetId,targetMimeType)))";
+
+async function getChangesStartToken(storage) {
+  const url = `${DRIVE_API}/changes/startPageToken?supportsAllDrives=true`;
+  const res = await fetchWithRetry(url, { headers: { Authorization: `Bearer ${storage.token}` } });
+  if (!res.ok) {
+    const upstream = await readUpstreamError(res);
+    console.error("Erreur startPageToken:", res.status, upstream.reason, upstream.message);
+    return { ok: false, status: res.status, upstream };
+  }
+  const data = await res.json();
+  return { ok: true, startPageToken: data.startPageToken };
+}
+
+// → { ok, changes, newStartPageToken | nextPageToken } ; seuls les fichiers sous rootId sont renvoyés.
+// Une suppression définitive n'a plus de parents: on renvoie seulement son fileId (aucune donnée).
+// Parents connus d'un élément supprimé définitivement (Drive ne les donne plus) : listings et arborescence en cache
+function cachedParentsOf(id, storage) {
+  const parents = new Set(cachedFolderInfo(id, storage)?.parents || []);
+  for (const [key, entry] of listingCache) {
+    if (!key.startsWith(`${storage.type}:`)) continue;
+    if (entry.files.some(f => f.id === id || realIdOf(f) === id)) parents.add(entry.folderId);
+  }
+  return [...parents];
+}
+
+async function someInTenantScope(ids, tenant, storage) {
+  for (const id of ids || []) {
+    if (await isInTenantScope(id, tenant, storage)) return true;
+  }
+  return false;
+}
+
+async function listChangesSince(pageToken, tenant, storage) {
+  const changes = [];
+  let next = pageToken;
+
+  for (let page = 0; page < CHANGES_MAX_PAGES; page++) {
+    const params = new URLSearchParams({
+      pageToken: next,
+      fields: CHANGE_FIELDS,
+      pageSize: "1000",
+      includeRemoved: "true",
+      supportsAllDrives: "true",
+      includeItemsFromAllDrives: "true"
     });
 
-    const client = await auth.getClient();
-    const token = await client.getAccessToken();
-    return token.token;
-  } catch (err) {
-    console.error("Erreur génération token service account:", err);
-    return null;
+    const res = await fetchWithRetry(`${DRIVE_API}/changes?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${storage.token}` }
+    });
+
+    if (!res.ok) {
+      const upstream = await readUpstreamError(res);
+      console.error("Erreur changes Drive:", res.status, upstream.reason, upstream.message);
+      return { ok: false, status: res.status, upstream };
+    }
+
+    const data = await res.json().catch(() => ({}));
+
+    const pageChanges = data.changes || [];
+    // Suppression définitive : seulement si l'élément était connu dans le périmètre du client
+    // (sinon on divulguerait les ID et l'activité de tout le Drive) ; parents relevés avant d'oublier les listings
+    const removedFrom = new Map(pageChanges
+      .filter(ch => ch.removed || !ch.file)
+      .map(ch => [ch.fileId, cachedParentsOf(ch.fileId, storage)]));
+    for (const ch of pageChanges) {
+      invalidateListings({ fileId: ch.fileId });
+      for (const p of ch.file?.parents || []) invalidateListings({ folderId: p });
+    }
+
+    for (const ch of pageChanges) {
+      if (ch.removed || !ch.file) {
+        if (await someInTenantScope(removedFrom.get(ch.fileId), tenant, storage)) {
+          changes.push({ fileId: ch.fileId, removed: true, time: ch.time });
+        }
+        continue;
+      }
+      if (!(await someInTenantScope(ch.file.parents, tenant, storage))) continue;
+
+      changes.push({
+        fileId: ch.fileId,
+        removed: Boolean(ch.file.trashed),
+        time: ch.time,
+        file: ch.file
+      });
+    }
+
+    if (data.newStartPageToken) {
+      return { ok: true, changes, newStartPageToken: data.newStartPageToken };
+    }
+    next = data.nextPageToken;
+    if (!next) break;
+  }
+
+  // Trop de changements d'un coup: le front rappelle avec nextPageToken
+  return { ok: true, changes, nextPageToken: next };
+}
+
+/* =========================
+   Recherche sous la racine du tenant
+   ========================= */
+
+const SEARCH_MAX_RESULTS = 200;
+const SEARCH_FIELDS =
+  "nextPageToken,files(id,name,mimeType,size,createdTime,modifiedTime,parents,shortcutDetails(targetId,targetMimeType))";
+
+// Échappement d'une valeur dans une requête Drive q='...'
+function qEscape(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+}
+
+// Critères → requête Drive. Drive ne sait pas chercher "sous un dossier" : le filtrage par racine
+// et par date encodée dans le nom (…_YYYYMMDD.csv) se fait après coup.
+function buildSearchQuery({ text, mimeType, from, to, dateMode }) {
+  const parts = ["trashed=false"];
+  if (text) parts.push(`name contains '${qEscape(text)}'`);
+  if (mimeType) {
+    // "image/" → toutes les images ; sinon type exact
+    parts.push(mimeType.endsWith("/")
+      ? `mimeType contains '${qEscape(mimeType)}'`
+      : `mimeType = '${qEscape(mimeType)}'`);
   }
+  if (dateMode !== "name") {
+    if (from) parts.push(`modifiedTime >= '${qEscape(from)}T00:00:00'`);
+    if (to) parts.push(`modifiedTime <= '${qEscape(to)}T23:59:59'`);
+  }
+  return parts.join(" and ");
+}
+
+// Chemin depuis la racine du client ; sous un site raccourci (hors racine), le chemin part de sa cible
+async function ancestorsInScope(parents, roots, tenant, storage) {
+  const main = await chainOfParents(parents, tenant.driveRootId, storage);
+  if (main) return main;
+  for (const rootId of roots) {
+    if (rootId === tenant.driveRootId) continue;
+    const chain = await chainOfParents(parents, rootId, storage);
+    if (!chain) continue;
+    const info = await getFolderInfo(rootId, storage);
+    return [{ id: rootId, name: info?.name || rootId }, ...chain];
+  }
+  return null;
+}
+
+// → { ok, files: [{ ...fichier, ancestors: [{id,name}] }], truncated, pending (budget de temps épuisé) }
+async function searchUnderRoot(criteria, tenant, storage) {
+  const q = buildSearchQuery(criteria);
+  const from = compactDate(criteria.from);
+  const to = compactDate(criteria.to);
+  const roots = await tenantScopeRoots(tenant, storage);
+  const deadline = Date.now() + ANALYZE_TIME_BUDGET_MS;
+  const files = [];
+  let pageToken;
+
+  do {
+    // Trop long (beaucoup de fichiers hors périmètre à écarter) : on rend ce qu'on a
+    if (Date.now() > deadline) return { ok: true, files, truncated: true, pending: true };
+
+    const params = new URLSearchParams({
+      q,
+      fields: SEARCH_FIELDS,
+      pageSize: "1000",
+      orderBy: "modifiedTime desc",
+      supportsAllDrives: "true",
+      includeItemsFromAllDrives: "true",
+      corpora: "allDrives"
+    });
+    if (pageToken) params.set("pageToken", pageToken);
+
+    const res = await fetchWithRetry(`${DRIVE_API}/files?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${storage.token}` }
+    });
+    if (!res.ok) {
+      const upstream = await readUpstreamError(res);
+      console.error("Erreur recherche Drive:", res.status, upstream.reason, upstream.message);
+      return { ok: false, status: res.status, upstream };
+    }
+
+    const data = await res.json().catch(() => ({}));
+    for (const f of data.files || []) {
+      if (criteria.dateMode === "name") {
+        const m = f.name.match(/(\d{8})/);
+        if (!m || (from && m[1] < from) || (to && m[1] > to)) continue;
+      }
+      const ancestors = await ancestorsInScope(f.parents, roots, tenant, storage);
+      if (!ancestors) continue;
+
+      files.push({ ...resolveShortcut(f), parentId: f.parents?.[0], ancestors });
+      if (files.length >= SEARCH_MAX_RESULTS) return { ok: true, files, truncated: true, pending: false };
+      if (Date.now() > deadline) return { ok: true, files, truncated: true, pending: true };
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { ok: true, files, truncated: false, pending: false };
+}
+
+/* =========================
+   Gestion: dossiers & fichiers
+   ========================= */
+
+const FILE_OPERATIONS = ["mkdir", "rename", "move", "copy", "trash", "restore"];
+
+// POST { op, id, parentId, name } → { statusCode, json } ou { statusCode, body } (texte d'erreur).
+// json.touched = dossiers dont le contenu a changé (le front ne recharge qu'eux).
+async function handleFileOperation(body, tenant, storage) {
+  const { op, id, parentId } = body;
+  const name = typeof body.name === "string" ? body.name.trim() : undefined;
+  if (!FILE_OPERATIONS.includes(op)) return errorResponse(400, "BAD_REQUEST", "Opération inconnue");
+
+  const needsId = op !== "mkdir";
+  const needsParent = op === "mkdir" || op === "move";
+  const needsName = op === "mkdir" || op === "rename";
+  if ((needsId && !id) || (needsParent && !parentId) || (needsName && !name)) {
+    return errorResponse(400, "BAD_REQUEST", "Paramètres manquants");
+  }
+  if (name !== undefined && (/[\\/]/.test(name) || name.startsWith("."))) {
+    return errorResponse(400, "BAD_REQUEST", "Nom invalide");
+  }
+
+  // Élément et destination doivent être chez le client ; les racines du périmètre (racine, cibles des
+  // raccourcis de sites, extraRootIds) sont intouchables : les déplacer sortirait tout un site du périmètre
+  if (needsId && (await tenantScopeRoots(tenant, storage)).has(id)) {
+    return errorResponse(403, "OUT_OF_SCOPE", "Opération impossible sur une racine du client");
+  }
+  if (needsId && !(await isInTenantScope(id, tenant, storage))) return scopeDenied(storage);
+  if (parentId && !(await isInTenantScope(parentId, tenant, storage))) return scopeDenied(storage);
+
+  const meta = needsId && op !== "restore" ? await storage.meta(id) : null;
+  if (needsId && op !== "restore" && !meta) return errorResponse(404, "NOT_FOUND", "Élément introuvable");
+  const oldParents = meta?.parents || [];
+
+  let res, touched;
+  switch (op) {
+    case "mkdir":
+      res = await storage.mkdir({ parentId, name });
+      touched = [parentId];
+      break;
+
+    case "rename":
+      res = await storage.move(id, { name });
+      touched = oldParents;
+      break;
+
+    case "move":
+      // Un dossier ne peut pas aller dans lui-même ni dans un de ses sous-dossiers
+      if (parentId === id || (await folderChain(parentId, id, storage)) !== null) {
+        return errorResponse(400, "BAD_REQUEST", "Destination invalide");
+      }
+      res = await storage.move(id, { parentId });
+      touched = [...oldParents, parentId];
+      break;
+
+    case "copy":
+      if (meta.mimeType === FOLDER_MIME) return errorResponse(400, "BAD_REQUEST", "Copie de dossier non supportée");
+      res = await storage.copy(id, { parentId, name });
+      touched = parentId ? [parentId] : oldParents;
+      break;
+
+    case "trash":
+      res = await storage.delete(id);
+      touched = oldParents;
+      break;
+
+    case "restore":
+      res = await storage.restore(id);
+      touched = res.parents || [];
+      break;
+  }
+
+  if (!res.ok) return upstreamErrorResponse(res, "Erreur opération Drive");
+
+  if (op !== "mkdir" && op !== "copy") forgetStructure(storage, id);
+  invalidateListings({ fileId: id });
+  for (const folderId of touched) invalidateListings({ folderId });
+
+  return {
+    statusCode: 200,
+    json: { success: true, op, id: res.id || id, touched: [...new Set(touched)] }
+  };
+}
+
+/* =========================
+   Versions d'un fichier (révisions Drive)
+   ========================= */
+
+// Le logger réécrit les CSV du jour : chaque version est comptée (lignes de données, hors en-tête comme
+// viewer.html) pour repérer une troncature. Seules les plus récentes, dans le budget temps des analyses.
+const REVISION_ROWS_MAX = 30;
+const REVISION_ROWS_MAX_BYTES = 5 * 1024 * 1024;
+const REVISION_ROWS_CACHE_MAX = 2000;
+
+// `${type}:${fileId}:${revisionId}:${md5 ou date}` → lignes ; une version ne change plus
+const revisionRowsCache = new Map();
+
+// → { ok, revisions (rows ajouté aux CSV), pending } ou { ok: false, status, upstream? }
+async function listRevisions(id, name, storage) {
+  const listed = await storage.revisions(id);
+  if (!listed.ok) return listed;
+
+  const revisions = listed.revisions;
+  if (!/\.(csv|txt)$/i.test(name || "")) return { ok: true, revisions, pending: 0 };
+
+  const deadline = Date.now() + ANALYZE_TIME_BUDGET_MS;
+  let pending = 0;
+  const counted = revisions.slice(-REVISION_ROWS_MAX).filter(r => !(Number(r.size) > REVISION_ROWS_MAX_BYTES));
+
+  await mapWithConcurrency(counted, ANALYZE_CONCURRENCY, async (rev) => {
+    const key = `${storage.type}:${id}:${rev.id}:${rev.md5Checksum || rev.modifiedTime}`;
+    if (!revisionRowsCache.has(key)) {
+      if (Date.now() > deadline) { pending++; return; }
+      const res = await storage.get(id, { revision: rev.id });
+      if (!res.ok) return;
+      const lines = res.data.toString("latin1").split(/\r?\n/).filter(l => l.trim() !== "").length;
+      revisionRowsCache.set(key, Math.max(0, lines - 1));
+      if (revisionRowsCache.size > REVISION_ROWS_CACHE_MAX) revisionRowsCache.delete(revisionRowsCache.keys().next().value);
+    }
+    rev.rows = revisionRowsCache.get(key);
+  });
+
+  return { ok: true, revisions, pending };
+}
+
+/* =========================
+   Archive ZIP (ticket pour zip.js)
+   ========================= */
+
+// L'archive est servie en flux par zip.js ; ici on ne fait que vérifier les droits et signer
+// un ticket court qui fige le dossier et les filtres (AAAAMMJJ) demandés.
+const ZIP_TICKET_TTL_S = 120;
+
+async function zipTicket(event, id, qp, tenant, storage) {
+  const folder = await storage.meta(id);
+  if (!folder || folder.mimeType !== FOLDER_MIME) return errorResponse(404, "NOT_FOUND", "Dossier introuvable");
+
+  const { token, expiresAt } = signToken(tenant.tenant, ZIP_TICKET_TTL_S, {
+    use: "zip",
+    id,
+    from: compactDate(qp.from),
+    to: compactDate(qp.to),
+    name: String(qp.name || folder.name).slice(0, 120)
+  });
+  const host = getHeader(event, "host") || "smes21540.netlify.app";
+  return {
+    statusCode: 200,
+    json: { url: `https://${host}/.netlify/functions/zip?ticket=${token}`, expiresAt }
+  };
 }
 
 /* =========================
    Handler Netlify
    ========================= */
 
+// Abonnement suspendu (403) ou expiré au-delà de la grâce (402): code JSON lisible par le front
+function subscriptionBlocked(subscription, allowOrigin) {
+  return corsResponse(subscription.state === "suspended"
+    ? errorResponse(403, "TENANT_SUSPENDED", "Accès suspendu : merci de régulariser votre abonnement.")
+    : errorResponse(402, "SUBSCRIPTION_EXPIRED", "Abonnement expiré.", {
+      expiry: subscription.expiry,
+      lockAt: subscription.lockAt
+    }), allowOrigin);
+}
+
+// Corps JSON { auth: true, key } d'une demande de jeton, sinon null
+function readLoginRequest(event) {
+  try {
+    const body = JSON.parse(event.body || "{}");
+    return body?.auth ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+   Limites de débit & usage
+   ========================= */
+
+// Route d'une requête GET (compteurs d'usage) ; les POST sont précisés en cours de traitement
+const ROUTE_PARAMS = ["config", "analyze", "changes", "search", "thumb", "zip", "revisions", "tree", "list"];
+// Jetons prélevés par route : un ZIP ou une analyse lit des dizaines de fichiers Drive
+const ROUTE_COST = { zip: 10, analyze: 5, revisions: 5, tree: 3 };
+
+function routeOf(method, qp) {
+  if (method === "POST") return "post";
+  return ROUTE_PARAMS.find(p => qp[p] !== undefined) || "download";
+}
+
+function rateLimited(check, allowOrigin) {
+  return corsResponse(errorResponse(429, "RATE_LIMITED", "Trop de requêtes : réessayez dans quelques secondes", {
+    headers: { "Retry-After": String(check.retryAfter) },
+    retryAfter: check.retryAfter,
+    scope: check.scope
+  }), allowOrigin);
+}
+
+// Routes tracées dans le journal d'audit (lib/audit.js)
+const AUDITED_ROUTES = new Set(["list", "tree", "download", "upload", "op"]);
+
+// Octets d'un corps Lambda (requête reçue ou réponse envoyée)
+const bodyBytes = ({ body, isBase64Encoded }) =>
+  body ? Buffer.byteLength(body, isBase64Encoded ? "base64" : "utf8") : 0;
+
+// Toute réponse porte X-Request-Id (et requestId dans le corps d'une erreur), à citer au support.
+// trace: route, tenant et fichier concerné, complétés en cours de traitement → compteurs d'usage et journal d'audit
 export async function handler(event, context) {
+  connectBlobs(event);
+  const qp = event.queryStringParameters || {};
+  const trace = { route: routeOf(event.httpMethod || "GET", qp), tenant: null, fileId: qp.id, fileName: qp.name };
+  const requestId = requestIdOf(event.headers);
+  const response = withRequestId(await handleRequest(event, context, trace), requestId);
+
+  const sent = bodyBytes(response);
+  await recordUsage(trace.tenant, { route: trace.route, status: response.statusCode, bytes: sent, received: bodyBytes(event) });
+  if (AUDITED_ROUTES.has(trace.route) && !trace.skipAudit) {
+    await recordAudit({
+      tenant: trace.tenant,
+      action: trace.route,
+      ...auditSource(event.headers),
+      fileId: trace.fileId,
+      fileName: trace.fileName,
+      // Upload: octets reçus (décodés) ; sinon octets envoyés (rien pour une erreur)
+      bytes: response.statusCode >= 400 ? 0 : (trace.bytes ?? sent),
+      status: response.statusCode,
+      outcome: auditOutcome(response.statusCode, response.body),
+      detail: [trace.detail, response.headers["Content-Range"]].filter(Boolean).join(" "),
+      requestId
+    });
+  }
+  return response;
+}
+
+async function handleRequest(event, context, trace) {
   const method = event.httpMethod || "GET";
   const originHeader = event.headers?.origin || event.headers?.Origin || "";
   const allowOrigin = parseAllowedOrigins(originHeader);
@@ -110,65 +1084,172 @@ export async function handler(event, context) {
     }, allowOrigin);
   }
 
-  // Upload (POST)
+  // Limite par IP avant tout, connexion comprise
+  const clientCheck = checkClientLimit(clientKey(event.headers), ROUTE_COST[trace.route]);
+  if (!clientCheck.ok) return rateLimited(clientCheck, allowOrigin);
+
+  // Authentification: POST { auth: true, key } échange le code d'accès contre un jeton,
+  // toute autre requête doit porter un jeton valide (Authorization: Bearer … ou ?auth=…)
+  let tenant;
+  try {
+    const login = method === "POST" ? readLoginRequest(event) : null;
+    if (login) {
+      trace.route = "login";
+      const tenantName = findTenantByKey(login.key);
+      if (!tenantName || !getTenant(tenantName)) {
+        return corsResponse(errorResponse(401, "INVALID_KEY", "Code d'accès invalide"), allowOrigin);
+      }
+      const subscription = subscriptionStatus(getTenant(tenantName));
+      if (subscription.state === "suspended" || subscription.state === "expired") {
+        return subscriptionBlocked(subscription, allowOrigin);
+      }
+      trace.tenant = getTenant(tenantName).tenant;
+      const { token, expiresAt } = signToken(trace.tenant);
+      return corsResponse({
+        statusCode: 200,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+        body: JSON.stringify({ token, tenant: tenantName, expiresAt, subscription })
+      }, allowOrigin);
+    }
+    tenant = authenticate(event);
+  } catch (err) {
+    console.error("Erreur auth:", err);
+    return corsResponse(errorResponse(500, "CONFIG_ERROR", "Authentification non configurée"), allowOrigin);
+  }
+  if (!tenant) {
+    return corsResponse(errorResponse(401, "AUTH_REQUIRED", "Authentification requise", {
+      headers: { "WWW-Authenticate": "Bearer" }
+    }), allowOrigin);
+  }
+
+  // Abonnement: vérifié à chaque requête (un jeton de 12 h ne prolonge pas un accès coupé)
+  const subscription = subscriptionStatus(tenant);
+  if (subscription.state === "suspended" || subscription.state === "expired") {
+    return subscriptionBlocked(subscription, allowOrigin);
+  }
+
+  trace.tenant = tenant.tenant;
+  const tenantCheck = checkTenantLimit(tenant, ROUTE_COST[trace.route]);
+  if (!tenantCheck.ok) return rateLimited(tenantCheck, allowOrigin);
+
+  // Configuration du tenant (racine, mode site/coop, marque, modules) : chargée par le front au démarrage
+  const response = trace.route === "config" && method === "GET"
+    ? corsResponse({
+      statusCode: 200,
+      headers: { "Content-Type": "application/json", "Cache-Control": "private, no-cache" },
+      body: JSON.stringify({ ...publicConfig(tenant), subscription })
+    }, allowOrigin)
+    : await handleTenantRequest(event, method, tenant, allowOrigin, trace);
+  response.headers["X-Subscription-Status"] = subscription.state;
+  if (subscription.state === "grace") response.headers["X-Subscription-Lock-At"] = subscription.lockAt;
+  if (subscription.state === "expiring") response.headers["X-Subscription-Expiry"] = subscription.expiry;
+  return response;
+}
+
+// Requête authentifiée d'un tenant à jour: upload (POST) ou lecture (GET)
+async function handleTenantRequest(event, method, tenant, allowOrigin, trace) {
+  // Erreur JSON (cf. lib/errors.js) ; échec d'un stockage → statut et raison Drive traduits
+  const fail = (status, code, message, details) => corsResponse(errorResponse(status, code, message, details), allowOrigin);
+  const failUpstream = (failure, message) => corsResponse(upstreamErrorResponse(failure, message), allowOrigin);
+
+  // Changes, recherche et upload avec reprise n'existent que sur Drive
+  const driveOnly = () => fail(501, "NOT_SUPPORTED", "Non disponible pour ce stockage");
+
+  const storage = await getStorage(tenant);
+  if (!storage) return fail(500, "CONFIG_ERROR", "Auth Service Account échouée");
+
+  const forbidden = () => corsResponse(scopeDenied(storage), allowOrigin);
+  // Module coupé dans config.json : le front masque le bouton, le proxy refuse l'appel direct
+  const moduleOff = (name) => tenant.modules[name] === false
+    ? fail(403, "MODULE_DISABLED", "Fonction désactivée pour ce client", { module: name })
+    : null;
+
+  // POST: gestion ("op") ou upload: texte ("content"), binaire ("contentBase64"), session de reprise ("resumable")
   if (method === "POST") {
     try {
       const body = JSON.parse(event.body || "{}");
-      if (!body.upload || !body.parentId || !body.name || !body.content) {
-        return corsResponse({ statusCode: 400, body: "Paramètres manquants pour upload" }, allowOrigin);
+
+      trace.route = body.op ? "op" : "upload";
+      trace.fileId = body.id || body.parentId;
+      trace.fileName = body.name;
+      trace.detail = body.op || (body.resumable ? `resumable:${body.resumable}` : "");
+
+      // Gestion (créer un dossier, renommer, déplacer, copier, corbeille / restauration)
+      if (body.op) {
+        const off = moduleOff("fileOps");
+        if (off) return off;
+        const out = await handleFileOperation(body, tenant, storage);
+        return corsResponse(out.json ? {
+          statusCode: out.statusCode,
+          headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+          body: JSON.stringify(out.json)
+        } : out, allowOrigin);
       }
 
-      const token = await getAccessTokenFromServiceAccount();
-      if (!token) {
-        return corsResponse({ statusCode: 500, body: "Impossible de générer un token Drive" }, allowOrigin);
+      if (!body.upload) {
+        return fail(400, "BAD_REQUEST", "Paramètres manquants pour upload");
       }
 
-      const metadata = {
-        name: body.name,
-        parents: [body.parentId],
-        mimeType: body.mimeType || "text/plain"
-      };
-
-      const boundary = "-------smesuploadboundary" + Date.now();
-      const multipartBody =
-        `--${boundary}\r\n` +
-        "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
-        JSON.stringify(metadata) + "\r\n" +
-        `--${boundary}\r\n` +
-        `Content-Type: ${metadata.mimeType}\r\n\r\n` +
-        body.content + "\r\n" +
-        `--${boundary}--`;
-
-      const uploadUrl = "https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&supportsAllDrives=true";
-
-      const res = await fetchWithRetry(uploadUrl, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": `multipart/related; boundary=${boundary}`
-        },
-        body: multipartBody
-      });
+      const isResumable = Boolean(body.resumable);
+      const isNewFile = !isResumable || String(body.resumable) === "start";
+      const data = isResumable ? null : decodeUploadContent(body);
+      if ((isNewFile && (!body.parentId || !body.name)) || (!isResumable && !data)) {
+        return fail(400, "BAD_REQUEST", "Paramètres manquants pour upload");
+      }
 
-      if (!res.ok) {
-        const errTxt = await res.text().catch(() => "");
-        console.error("Erreur upload:", res.status, errTxt);
-        return corsResponse({ statusCode: res.status, body: "Erreur upload Drive" }, allowOrigin);
+      if (isResumable && storage.type !== "drive") return driveOnly();
+
+      // Nouveau fichier (multipart ou début de session): le dossier cible doit être chez le client
+      if (isNewFile && !(await isInTenantScope(body.parentId, tenant, storage))) {
+        return forbidden();
+      }
+
+      // Nom déjà pris → remplacement, nom suffixé ou refus (body.ifExists)
+      let target = null;
+      if (isNewFile) {
+        target = await resolveUploadTarget(body, storage);
+        if (target.statusCode) return corsResponse(target, allowOrigin);
+        trace.detail = [trace.detail, `ifExists:${target.ifExists}`, target.existingId ? "replaced" : ""].filter(Boolean).join(" ");
+        if (target.existingId) trace.fileId = target.existingId;
+        trace.fileName = target.name;
       }
 
-      const result = await res.json();
+      if (isResumable) {
+        const out = await handleResumableUpload(body, storage.token, target);
+        // Journal: début de session et fin d'upload (id et taille), pas chaque morceau
+        if (out.json?.done) Object.assign(trace, { fileId: out.json.id, bytes: out.json.total });
+        else if (out.statusCode < 400 && String(body.resumable) !== "start") trace.skipAudit = true;
+        return corsResponse(out.json ? {
+          statusCode: out.statusCode,
+          headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+          body: JSON.stringify(out.json)
+        } : out, allowOrigin);
+      }
+
+      const mimeType = body.mimeType || (body.contentBase64 ? guessMimeType(body.name) : "text/plain");
+      const res = target.existingId
+        ? await storage.update(target.existingId, { mimeType, data })
+        : await storage.put({ parentId: body.parentId, name: target.name, mimeType, data });
+      if (!res.ok) return failUpstream(res, "Erreur upload Drive");
+
+      Object.assign(trace, { fileId: res.id, bytes: data.length, detail: `parent:${body.parentId} ${trace.detail}` });
+      invalidateListings({ folderId: body.parentId });
+      if (target.existingId) invalidateListings({ fileId: target.existingId });
       return corsResponse({
         statusCode: 200,
         headers: {
           "Content-Type": "application/json",
           // Active aussi le cache CDN Netlify (lecture utile seulement ; ici upload → pas de cache)
         },
-        body: JSON.stringify({ success: true, id: result.id })
+        body: JSON.stringify({
+          success: true, id: res.id, name: target.name, replaced: Boolean(target.existingId),
+          received: data.length, total: data.length, progress: 100, done: true
+        })
       }, allowOrigin);
 
     } catch (err) {
       console.error("Erreur upload proxy:", err);
-      return corsResponse({ statusCode: 500, body: "Erreur interne upload" }, allowOrigin);
+      return fail(500, "INTERNAL_ERROR", "Erreur interne upload");
     }
   }
 
@@ -179,101 +1260,219 @@ const qp = event.queryStringParameters || {};
 const id = qp.id;
 const name = qp.name || "";
 const list = String(qp.list || "").toLowerCase() === "true";
+const tree = String(qp.tree || "").toLowerCase() === "true";
 
 // ✅ force download si &download=1 (ou true/yes)
 const download = ["1", "true", "yes"].includes(String(qp.download || "").toLowerCase());
 
 
 
-      if (!id) {
-        return corsResponse({ statusCode: 400, body: "Missing id parameter" }, allowOrigin);
+      // Analyse côté serveur: jours chauds d'un site, consommation gaz d'un dossier
+      if (qp.analyze) {
+        if (!["hotdays", "gaz"].includes(qp.analyze)) {
+          return fail(400, "BAD_REQUEST", "Analyse inconnue");
+        }
+        const off = moduleOff(qp.analyze === "hotdays" ? "hotDays" : "gaz");
+        if (off) return off;
+        const targetId = qp.analyze === "hotdays" ? qp.siteId : qp.folderId;
+        if (!targetId) {
+          return fail(400, "BAD_REQUEST", qp.analyze === "hotdays" ? "Missing siteId parameter" : "Missing folderId parameter");
+        }
+
+        if (!(await isInTenantScope(targetId, tenant, storage))) return forbidden();
+
+        const result = qp.analyze === "hotdays"
+          ? await analyzeSiteHotDays(targetId, storage)
+          : await analyzeGazFolder(targetId, qp.start, qp.end, storage);
+        if (!result.ok) return failUpstream(result, "Erreur analyse Drive");
+
+        return corsResponse({
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/json",
+            // Nombre de CSV restant à analyser → le front rappelle, le cache rend la suite instantanée
+            "X-Analysis-Pending": String(result.pending),
+            "Access-Control-Expose-Headers": `${EXPOSED_HEADERS}, X-Analysis-Pending`,
+            "Cache-Control": result.pending ? "no-store" : "private, max-age=60, must-revalidate",
+          },
+          body: JSON.stringify(qp.analyze === "hotdays" ? result.hotDays : { days: result.days })
+        }, allowOrigin);
       }
 
-      const token = await getAccessTokenFromServiceAccount();
-      if (!token) {
-        return corsResponse({ statusCode: 500, body: "Auth Service Account échouée" }, allowOrigin);
+      // Flux de changements: ?changes=start → jeton initial ; ?changes=list&token=X → ce qui a bougé depuis X
+      if (qp.changes) {
+        if (!["start", "list"].includes(qp.changes)) {
+          return fail(400, "BAD_REQUEST", "Paramètre changes invalide (start ou list)");
+        }
+        if (qp.changes === "list" && !qp.token) {
+          return fail(400, "BAD_REQUEST", "Missing token parameter");
+        }
+
+        if (storage.type !== "drive") return driveOnly();
+
+        const result = qp.changes === "start"
+          ? await getChangesStartToken(storage)
+          : await listChangesSince(qp.token, tenant, storage);
+        if (!result.ok) return failUpstream(result, "Erreur changes Drive");
+
+        const { ok, ...payload } = result;
+        return corsResponse({
+          statusCode: 200,
+          headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+          body: JSON.stringify(payload)
+        }, allowOrigin);
       }
 
-if (list) {
+      // Recherche: ?search=texte&mimeType=…&from=YYYY-MM-DD&to=YYYY-MM-DD&dateMode=modified|name
+      if (qp.search !== undefined) {
+        const off = moduleOff("search");
+        if (off) return off;
+        const criteria = {
+          text: String(qp.search || "").trim(),
+          mimeType: qp.mimeType || "",
+          from: qp.from || "",
+          to: qp.to || "",
+          dateMode: qp.dateMode === "name" ? "name" : "modified"
+        };
+        if (!criteria.text && !criteria.mimeType && !criteria.from && !criteria.to) {
+          return fail(400, "BAD_REQUEST", "Critère de recherche manquant");
+        }
 
-  // ✅ 1) Résoudre si l’ID demandé est un raccourci vers un dossier
-  let folderId = id;
+        if (storage.type !== "drive") return driveOnly();
 
-  try {
-    const metaUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(id)}?` +
-      new URLSearchParams({
-        supportsAllDrives: "true",
-        fields: "id,mimeType,shortcutDetails(targetId,targetMimeType)"
-      }).toString();
-
-    const metaRes = await fetchWithRetry(metaUrl, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
+        const result = await searchUnderRoot(criteria, tenant, storage);
+        if (!result.ok) return failUpstream(result, "Erreur recherche Drive");
 
-    // Si le GET meta échoue, on ne bloque pas : on tentera la liste avec id tel quel
-    if (metaRes.ok) {
-      const meta = await metaRes.json().catch(() => ({}));
-      const isShortcutFolder =
-        meta?.mimeType === "application/vnd.google-apps.shortcut" &&
-        meta?.shortcutDetails?.targetMimeType === "application/vnd.google-apps.folder" &&
-        meta?.shortcutDetails?.targetId;
+        return corsResponse({
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/json",
+            "Cache-Control": "private, max-age=30, must-revalidate",
+          },
+          body: JSON.stringify({ files: result.files, truncated: result.truncated, pending: result.pending })
+        }, allowOrigin);
+      }
 
-      if (isShortcutFolder) {
-        folderId = meta.shortcutDetails.targetId;
+      if (!id) {
+        return fail(400, "BAD_REQUEST", "Missing id parameter");
       }
-    }
 
-  } catch (e) {
-    console.warn("Shortcut resolve failed:", e);
-  }
+      if (!(await isInTenantScope(id, tenant, storage))) return forbidden();
 
-  // ✅ 2) Liste paginée des fichiers d'un dossier (ID résolu si raccourci)
-  let allFiles = [];
-  let pageToken = undefined;
+      // Vignette d'image: ?thumb=320&id=… (mise en cache longue: le front ajoute &v=<modifiedTime>)
+      if (qp.thumb) {
+        const off = moduleOff("gallery");
+        if (off) return off;
+        const thumbSize = Math.min(Math.max(parseInt(qp.thumb, 10) || THUMB_DEFAULT_PX, 64), THUMB_MAX_PX);
+        // Pas de vignette (stockage local, fichier tout juste déposé) → 404, le front affiche une icône ;
+        // jamais l'image d'origine : trop lourde pour une vignette
+        if (!storage.thumbnail) return fail(404, "NOT_FOUND", "Vignette indisponible");
+        const thumb = await storage.thumbnail(id, thumbSize);
+        if (!thumb.ok) return failUpstream(thumb, "Vignette indisponible");
+        return corsResponse({
+          statusCode: 200,
+          headers: {
+            "Content-Type": thumb.contentType || "image/jpeg",
+            "Cache-Control": `private, max-age=${THUMB_CACHE_SECONDS}, immutable`
+          },
+          body: Buffer.from(thumb.data).toString("base64"),
+          isBase64Encoded: true
+        }, allowOrigin);
+      }
 
-  do {
-    const params = new URLSearchParams();
-    params.set("q", `'${folderId}' in parents and trashed=false`);
-    params.set(
-      "fields",
-      "nextPageToken, files(id,name,mimeType,size,createdTime,modifiedTime,shortcutDetails(targetId,targetMimeType))"
-    );
-
-    params.set("pageSize", "1000");
-    params.set("supportsAllDrives", "true");
-    params.set("includeItemsFromAllDrives", "true");
-    if (pageToken) params.set("pageToken", pageToken);
+      // Ticket de téléchargement ZIP: ?zip=true&id=…&from=YYYY-MM-DD&to=YYYY-MM-DD&name=…
+      if (qp.zip) {
+        const off = moduleOff("zip");
+        if (off) return off;
+        const result = await zipTicket(event, id, qp, tenant, storage);
+        return corsResponse(result.json ? {
+          statusCode: result.statusCode,
+          headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+          body: JSON.stringify(result.json)
+        } : result, allowOrigin);
+      }
 
-    const url = `https://www.googleapis.com/drive/v3/files?${params.toString()}`;
+      // Versions d'un fichier: ?revisions=true&id=… (télécharger l'une d'elles: ?id=…&revision=<ID>)
+      if (qp.revisions) {
+        if (!storage.revisions) return driveOnly();
+        const meta = await storage.meta(id);
+        if (!meta) {
+          return storage.lastFailure ? failUpstream(storage.lastFailure, "Erreur meta Drive") : fail(404, "NOT_FOUND", "Fichier introuvable");
+        }
+        if (meta.mimeType?.startsWith("application/vnd.google-apps.")) {
+          return fail(400, "UNSUPPORTED_FORMAT", "Versions non disponibles pour ce type de fichier");
+        }
 
-    const response = await fetchWithRetry(url, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
+        const result = await listRevisions(id, meta.name, storage);
+        if (!result.ok) return failUpstream(result, "Erreur révisions Drive");
 
-    if (!response.ok) {
-      const errTxt = await response.text().catch(() => "");
-      console.error("Erreur list Drive:", response.status, errTxt);
-      return corsResponse({ statusCode: response.status, body: "Erreur list Drive" }, allowOrigin);
-    }
+        return corsResponse({
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/json",
+            "X-Analysis-Pending": String(result.pending),
+            "Access-Control-Expose-Headers": `${EXPOSED_HEADERS}, X-Analysis-Pending`,
+            "Cache-Control": "no-store"
+          },
+          body: JSON.stringify({ id, name: meta.name, revisions: result.revisions, pending: result.pending })
+        }, allowOrigin);
+      }
 
-    const data = await response.json().catch(() => ({}));
-    allFiles.push(...(data.files || []));
-    pageToken = data.nextPageToken;
+const LISTING_CACHE_HEADERS = {
+  "Cache-Control": "private, max-age=30, must-revalidate",
+};
 
-  } while (pageToken);
+// Arborescence complète en un appel (site → sous-dossiers → fichiers), raccourcis résolus
+if (tree) {
+  const depth = Math.min(Math.max(parseInt(qp.depth, 10) || 1, 1), TREE_MAX_DEPTH);
+  const built = await buildFolderTree(id, depth, storage);
+  if (!built.ok) return failUpstream(built, "Erreur list Drive");
+
+  const etag = listingEtag(built.children);
+  if (ifNoneMatchMatches(getHeader(event, "if-none-match"), etag)) {
+    return corsResponse({ statusCode: 304, headers: { ...LISTING_CACHE_HEADERS, ETag: etag } }, allowOrigin);
+  }
 
   return corsResponse({
     statusCode: 200,
-    headers: {
-      "Content-Type": "application/json",
-      "Cache-Control": "public, max-age=30, must-revalidate",
-      "Netlify-CDN-Cache-Control": "public, max-age=30, must-revalidate",
-    },
+    headers: { "Content-Type": "application/json", ...LISTING_CACHE_HEADERS, ETag: etag },
+    body: JSON.stringify({
+      id: built.folderId,
+      requestedId: id,
+      depth,
+      children: built.children
+    })
+  }, allowOrigin);
+}
+
+// Corbeille d'un dossier (éléments restaurables) : jamais en cache
+if (list && String(qp.trashed || "").toLowerCase() === "true") {
+  const trashed = await storage.list(id, { trashed: true });
+  if (!trashed.ok) return failUpstream(trashed, "Erreur list Drive");
+  return corsResponse({
+    statusCode: 200,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify({ files: trashed.files, resolvedFolderId: trashed.folderId, requestedId: id })
+  }, allowOrigin);
+}
+
+if (list) {
+  const listed = await listFolderFiles(id, storage);
+  if (!listed.ok) return failUpstream(listed, "Erreur list Drive");
+
+  const etag = listingEtag(listed.files);
+  if (ifNoneMatchMatches(getHeader(event, "if-none-match"), etag)) {
+    return corsResponse({ statusCode: 304, headers: { ...LISTING_CACHE_HEADERS, ETag: etag } }, allowOrigin);
+  }
+
+  return corsResponse({
+    statusCode: 200,
+    headers: { "Content-Type": "application/json", ...LISTING_CACHE_HEADERS, ETag: etag },
     body: JSON.stringify({
-      files: allFiles,
+      files: listed.files,
 
       // (optionnel) pratique debug côté front
-      resolvedFolderId: folderId,
+      resolvedFolderId: listed.folderId,
       requestedId: id
     })
   }, allowOrigin);
@@ -281,28 +1480,100 @@ if (list) {
 
 
 
-      // Téléchargement d'un fichier
-      const url = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(id)}?alt=media&supportsAllDrives=true`;
-      const response = await fetchWithRetry(url, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      // Téléchargement d'un fichier (Range / If-Range → 206, gros fichiers par morceaux)
+      const meta = await storage.meta(id);
+      if (meta?.name) trace.fileName = meta.name;
 
-      if (!response.ok) {
-        const errTxt = await response.text().catch(() => "");
-        console.error("Erreur Google Drive GET:", response.status, errTxt);
-        return corsResponse({ statusCode: response.status, body: "Erreur Google Drive" }, allowOrigin);
+      // Google Docs / Sheets / Slides: pas de binaire (alt=media refusé) → export au format demandé
+      const native = isWorkspaceMime(meta?.mimeType);
+      const exportTarget = native ? workspaceExportFormat(meta.mimeType, qp.format) : null;
+      if (exportTarget) trace.detail = `export:${exportTarget.format}`;
+      if (native && !exportTarget) {
+        return fail(400, "UNSUPPORTED_FORMAT", "Format d'export non disponible", { formats: workspaceFormats(meta.mimeType) });
       }
 
-      const arrayBuf = await response.arrayBuffer();
-      const contentType = response.headers.get("content-type") || "application/octet-stream";
+      // Version antérieure (?revision=<ID>, cf. ?revisions=true) : contenu figé, servi comme un fichier
+      let revision = null;
+      if (qp.revision) {
+        if (native || !storage.revisions) return fail(400, "UNSUPPORTED_FORMAT", "Versions non disponibles pour ce type de fichier");
+        const listed = await storage.revisions(id);
+        if (!listed.ok) return failUpstream(listed, "Erreur révisions Drive");
+        revision = listed.revisions.find(r => r.id === String(qp.revision));
+        if (!revision) return fail(404, "NOT_FOUND", "Version introuvable (purgée par Drive ?)");
+        trace.detail = `revision:${revision.id}`;
+      }
+
+      const etag = revision
+        ? buildEtag({ modifiedTime: `${revision.modifiedTime}.${revision.md5Checksum || revision.id}` })
+        : exportTarget ? buildEtag({ modifiedTime: `${meta.modifiedTime}.${exportTarget.format}` }) : buildEtag(meta);
+      const modifiedTime = revision ? revision.modifiedTime : meta?.modifiedTime;
+      const lastModified = modifiedTime ? new Date(modifiedTime).toUTCString() : undefined;
 
-      // Cache court pour les fichiers "du jour"
+      // Cache court pour les fichiers "du jour" (une ancienne version, elle, ne change plus)
       const today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
-      const isTodayFile = name.includes(today);
+      const isTodayFile = name.includes(today) && !(revision && !revision.current);
       const cacheSeconds = isTodayFile ? 60 : 3600;
 
-// ✅ helpers filename safe + RFC5987
-const safeName = (name || "fichier")
+      // Fichier inchangé depuis la copie du navigateur → 304 sans retélécharger depuis Drive
+      if (!getHeader(event, "range") && ifNoneMatchMatches(getHeader(event, "if-none-match"), etag)) {
+        return corsResponse({
+          statusCode: 304,
+          headers: {
+            ETag: etag,
+            ...(lastModified ? { "Last-Modified": lastModified } : {}),
+            "Cache-Control": `private, max-age=${cacheSeconds}, must-revalidate`
+          }
+        }, allowOrigin);
+      }
+
+      // Export converti en entier puis découpé comme un fichier ordinaire (morceaux, Range)
+      let exported = null;
+      if (exportTarget) {
+        if (!storage.export) return driveOnly();
+        exported = await storage.export(id, exportTarget.mimeType);
+        if (!exported.ok) return failUpstream(exported, "Erreur export Google Drive");
+      }
+      const sizeOf = revision || meta;
+      const size = exported ? exported.data.length : (sizeOf?.size !== undefined ? Number(sizeOf.size) : NaN);
+
+      let range = null;
+      if (Number.isFinite(size)) {
+        const rangeHeader = getHeader(event, "range");
+        if (rangeHeader && ifRangeMatches(getHeader(event, "if-range"), etag, lastModified)) {
+          range = parseRangeHeader(rangeHeader, size);
+        }
+        if (range?.unsatisfiable) {
+          return fail(416, "RANGE_NOT_SATISFIABLE", "Plage demandée invalide", {
+            headers: { "Content-Range": `bytes */${size}`, "Accept-Ranges": "bytes" }
+          });
+        }
+        // Gros fichier demandé en entier: on sert le premier morceau
+        if (!range && size > STREAM_THRESHOLD_BYTES) {
+          range = { start: 0, end: size - 1 };
+        }
+        // Jamais plus d'un morceau par réponse
+        if (range) range.end = Math.min(range.end, range.start + RANGE_CHUNK_BYTES - 1);
+      }
+
+      const response = exported
+        ? {
+          ok: true,
+          partial: Boolean(range),
+          contentType: exported.contentType,
+          data: range ? exported.data.subarray(range.start, range.end + 1) : exported.data
+        }
+        : await storage.get(id, { range, revision: revision?.id });
+      if (!response.ok) return failUpstream(response, "Erreur Google Drive");
+
+      const arrayBuf = response.data;
+      const contentType = response.contentType || meta?.mimeType || "application/octet-stream";
+
+// ✅ helpers filename safe + RFC5987 (export: extension du format ajoutée au nom)
+const baseName = name || meta?.name || "fichier";
+const downloadName = exportTarget && !baseName.toLowerCase().endsWith(`.${exportTarget.format}`)
+  ? `${baseName}.${exportTarget.format}`
+  : baseName;
+const safeName = downloadName
   .replace(/[\/\\:*?"<>|]/g, "_")
   .replace(/"/g, "'")
   .trim() || "fichier";
@@ -314,39 +1585,43 @@ const contentDisposition = download
   ? `attachment; filename="${safeName}"; filename*=UTF-8''${encodedName}`
   : `inline; filename="${safeName}"; filename*=UTF-8''${encodedName}`;
 
+const headers = {
+  "Content-Type": contentType,
+
+  // ✅ le truc qui change tout
+  "Content-Disposition": contentDisposition,
+
+  // optionnel mais pratique
+  "Content-Length": String(arrayBuf.byteLength),
+
+  "Cache-Control": `private, max-age=${cacheSeconds}, must-revalidate`,
+};
+
+if (Number.isFinite(size)) headers["Accept-Ranges"] = "bytes";
+if (etag) headers["ETag"] = etag;
+if (lastModified) headers["Last-Modified"] = lastModified;
+
+// Le stockage indique si la plage a été honorée (sinon 200 avec le fichier entier)
+const partial = range && response.partial;
+if (partial) {
+  const end = range.start + arrayBuf.byteLength - 1;
+  headers["Content-Range"] = `bytes ${range.start}-${end}/${size}`;
+}
+
 // Binaire encodé en Base64 (format Netlify)
-return {
-  statusCode: 200,
-  headers: {
-    "Access-Control-Allow-Origin": allowOrigin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With",
-    "Access-Control-Max-Age": "600",
-    "Content-Type": contentType,
-
-    // ✅ le truc qui change tout
-    "Content-Disposition": contentDisposition,
-
-    // optionnel mais pratique
-    "Content-Length": String(arrayBuf.byteLength),
-
-    "Cache-Control": `public, max-age=${cacheSeconds}, must-revalidate`,
-    "Netlify-CDN-Cache-Control": `public, max-age=${cacheSeconds}, must-revalidate`,
-  },
+return corsResponse({
+  statusCode: partial ? 206 : 200,
+  headers,
   body: Buffer.from(arrayBuf).toString("base64"),
   isBase64Encoded: true
-};
+}, allowOrigin);
 
     } catch (err) {
       console.error("Erreur proxy Drive (GET):", err);
-      return corsResponse({ statusCode: 500, body: "Erreur interne proxy Drive" }, allowOrigin);
+      return fail(500, "INTERNAL_ERROR", "Erreur interne proxy Drive");
     }
   }
 
   // Méthodes non supportées
-  return corsResponse({
-    statusCode: 405,
-    headers: { "Allow": "GET, POST, OPTIONS" },
-    body: "Méthode non autorisée"
-  }, allowOrigin);
+  return fail(405, "METHOD_NOT_ALLOWED", "Méthode non autorisée", { headers: { "Allow": "GET, POST, OPTIONS" } });
 }
@@ -0,0 +1,113 @@
+// audit.js — Journal d'audit (traçabilité client) : listings, téléchargements, archives, uploads, gestion, notes.
+// Ajout seul : un blob par événement, clé "<jour>/<TENANT>/<horodatage>-<aléa>" (jamais réécrit ni supprimé ici),
+// écrit avant la réponse pour ne rien perdre si l'instance s'arrête.
+// Les réponses du proxy ne sont jamais mises en cache CDN (cf. corsResponse dans drive.js) : chaque requête passe
+// ici. Seule une relecture dans le cache du navigateur (private, max-age) n'est pas retracée ; une revalidation,
+// elle, l'est ("not_modified").
+// Événement: { ts, tenant, action, origin, ip, fileId, fileName, bytes, status, outcome, detail, requestId }
+
+import crypto from "crypto";
+import { openStore } from "./blobs.js";
+
+const STORE_NAME = "audit";
+// Lecture : blobs lus en parallèle, et plafond d'une requête (au-delà: truncated)
+const READ_CONCURRENCY = 16;
+export const AUDIT_MAX_EVENTS = 20000;
+
+export const AUDIT_COLUMNS = [
+  "ts", "tenant", "action", "outcome", "status", "fileId", "fileName", "bytes", "detail", "origin", "ip", "requestId"
+];
+
+const headerOf = (headers, name) => {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : "";
+};
+
+// Provenance d'une requête (en-têtes Lambda) → { origin, ip }
+export function auditSource(headers = {}) {
+  return {
+    origin: headerOf(headers, "origin") || headerOf(headers, "referer") || "",
+    ip: headerOf(headers, "x-nf-client-connection-ip") || String(headerOf(headers, "x-forwarded-for")).split(",")[0].trim()
+  };
+}
+
+// Issue lisible: "ok", "not_modified" (304, copie du navigateur encore bonne) ou code d'erreur JSON (cf. lib/errors.js)
+export function auditOutcome(status, body) {
+  if (status === 304) return "not_modified";
+  if (status < 400) return "ok";
+  try {
+    return JSON.parse(body).code || `http_${status}`;
+  } catch {
+    return `http_${status}`;
+  }
+}
+
+// N'interrompt jamais la requête : un journal indisponible est signalé dans les logs
+export async function recordAudit(event, now = Date.now()) {
+  if (!event?.tenant) return;
+  const store = openStore(STORE_NAME);
+  if (!store) return;
+
+  const ts = new Date(now).toISOString();
+  const entry = {
+    ts,
+    tenant: event.tenant,
+    action: event.action,
+    origin: event.origin || "",
+    ip: event.ip || "",
+    fileId: event.fileId || "",
+    fileName: event.fileName || "",
+    bytes: Number(event.bytes) || 0,
+    status: event.status,
+    outcome: event.outcome || (event.status < 400 ? "ok" : `http_${event.status}`),
+    detail: event.detail || "",
+    requestId: event.requestId || ""
+  };
+  const key = `${ts.slice(0, 10)}/${entry.tenant}/${String(now).padStart(15, "0")}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    await store.setJSON(key, entry);
+  } catch (e) {
+    console.error("Journal d'audit: écriture impossible:", e.message, JSON.stringify(entry));
+  }
+}
+
+// Jours [from, to] (AAAA-MM-JJ, inclus), tenant facultatif → { events (ordre chronologique), truncated } ou null
+export async function readAudit({ from, to, tenant } = {}) {
+  const store = openStore(STORE_NAME);
+  if (!store) return null;
+
+  const keys = [];
+  let truncated = false;
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`) && !truncated; t += 24 * 3600 * 1000) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    const { blobs } = await store.list({ prefix: tenant ? `${day}/${tenant}/` : `${day}/` });
+    for (const b of blobs) {
+      if (keys.length >= AUDIT_MAX_EVENTS) { truncated = true; break; }
+      keys.push(b.key);
+    }
+  }
+
+  const events = new Array(keys.length);
+  let next = 0;
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, keys.length) }, async () => {
+    while (next < keys.length) {
+      const i = next++;
+      events[i] = await store.get(keys[i], { type: "json" }).catch(() => null);
+    }
+  }));
+
+  return {
+    events: events.filter(Boolean).sort((a, b) => a.ts.localeCompare(b.ts)),
+    truncated
+  };
+}
+
+// Export CSV (séparateur virgule, guillemets doublés) ; un nom commençant par = + - @ n'est pas lu comme formule
+export function auditToCsv(events) {
+  const cell = (v) => {
+    let s = String(v ?? "");
+    if (typeof v === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [AUDIT_COLUMNS.join(","), ...events.map(e => AUDIT_COLUMNS.map(c => cell(e[c])).join(","))].join("\n") + "\n";
+}
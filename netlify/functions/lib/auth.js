@@ -0,0 +1,95 @@
+// auth.js — Jetons d'accès courts (JWT HS256) par tenant.
+// Vars Netlify: AUTH_SECRET (clé de signature) et TENANT_KEYS (JSON { "TENANT": "code d'accès" }) ;
+// ADMIN_KEY ouvre les routes d'administration (admin.js).
+// Le front échange le code d'accès du client contre un jeton valable AUTH_TOKEN_TTL_S secondes.
+
+import crypto from "crypto";
+import { getTenant } from "./tenants.js";
+
+export const AUTH_TOKEN_TTL_S = 12 * 3600;
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64")
+    .replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) throw new Error("AUTH_SECRET manquant");
+  return secret;
+}
+
+function sign(data) {
+  return base64url(crypto.createHmac("sha256", getSecret()).update(data).digest());
+}
+
+// Comparaison à temps constant (sur empreintes de même longueur)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// claims: champs en plus dans le jeton (ex. { use: "zip", … } pour un ticket de téléchargement)
+export function signToken(tenant, ttlSeconds = AUTH_TOKEN_TTL_S, claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ ...claims, sub: tenant, iat: now, exp: now + ttlSeconds }));
+  return { token: `${header}.${payload}.${sign(`${header}.${payload}`)}`, expiresAt: (now + ttlSeconds) * 1000 };
+}
+
+// → payload { sub, iat, exp } ou null (signature invalide / expiré / mal formé)
+export function verifyToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  if (!safeEqual(signature, sign(`${header}.${payload}`))) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64").toString("utf8"));
+    if (!data.sub || !Number.isFinite(data.exp) || data.exp * 1000 < Date.now()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// Code d'accès → nom du tenant (ou null)
+export function findTenantByKey(key) {
+  if (!key) return null;
+  let keys = {};
+  try {
+    keys = JSON.parse(process.env.TENANT_KEYS || "{}");
+  } catch (e) {
+    console.error("TENANT_KEYS illisible:", e);
+    return null;
+  }
+  const hit = Object.entries(keys).find(([, k]) => k && safeEqual(k, key));
+  return hit ? hit[0] : null;
+}
+
+// Jeton porté par "Authorization: Bearer …" ou, pour <img>/<video>/liens, par ?auth=…
+export function getRequestToken(event) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization || "";
+  const m = String(authHeader).match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return event.queryStringParameters?.auth || null;
+}
+
+// → { tenant } (entrée du registre) ou null si non authentifié
+export function authenticate(event) {
+  const payload = verifyToken(getRequestToken(event));
+  // Un ticket à usage limité (payload.use) n'ouvre pas l'accès au proxy
+  if (!payload || payload.use) return null;
+  return getTenant(payload.sub);
+}
+
+// Routes admin: "X-Admin-Key: …" ou "Authorization: Bearer <ADMIN_KEY>" ; toujours refusé si ADMIN_KEY absent
+export function isAdminRequest(event) {
+  const adminKey = process.env.ADMIN_KEY;
+  if (!adminKey) return false;
+  const headers = event.headers || {};
+  const given = headers["x-admin-key"] || headers["X-Admin-Key"] || getRequestToken({ headers });
+  return Boolean(given) && safeEqual(given, adminKey);
+}
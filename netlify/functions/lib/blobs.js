@@ -0,0 +1,26 @@
+// blobs.js — Accès à Netlify Blobs (compteurs d'usage, journal d'audit).
+// Fonctions "v2" (zip.js) : contexte automatique ; format Lambda (drive.js…) : connectBlobs(event) en tête de handler.
+// Hors Netlify (tests, netlify functions:serve sans Blobs) → openStore() renvoie null et l'appelant s'en passe.
+
+import { connectLambda, getStore } from "@netlify/blobs";
+
+export function connectBlobs(event) {
+  if (!event?.blobs) return;
+  try {
+    connectLambda(event);
+  } catch (e) {
+    console.warn("Contexte Netlify Blobs illisible:", e.message);
+  }
+}
+
+let warned = false;
+
+export function openStore(name) {
+  try {
+    return getStore(name);
+  } catch (e) {
+    if (!warned) console.warn(`Netlify Blobs indisponible (${name}):`, e.message);
+    warned = true;
+    return null;
+  }
+}
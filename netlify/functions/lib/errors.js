@@ -0,0 +1,81 @@
+// errors.js — Enveloppe d'erreur JSON commune à toutes les fonctions.
+// { code, status, message, requestId, upstream?: { status, reason, message }, …détails }
+//   code: stable (le front en déduit le message et s'il faut réessayer) ; message: français, pour les logs/support ;
+//   requestId: aussi en en-tête X-Request-Id ; upstream: réponse de Google Drive quand l'erreur vient de lui.
+//
+// Codes: BAD_REQUEST, UNSUPPORTED_FORMAT (400) · AUTH_REQUIRED, INVALID_KEY (401) · SUBSCRIPTION_EXPIRED (402)
+//   TENANT_SUSPENDED, OUT_OF_SCOPE, PERMISSION_DENIED, MODULE_DISABLED (403) · NOT_FOUND (404) · METHOD_NOT_ALLOWED (405)
+//   CONFLICT (409) · UPLOAD_SESSION_EXPIRED (410) · ARCHIVE_TOO_LARGE, ATTACHMENT_TOO_LARGE (413)
+//   RANGE_NOT_SATISFIABLE (416) · QUOTA_EXCEEDED, RATE_LIMITED (429, + Retry-After)
+//   INTERNAL_ERROR, CONFIG_ERROR (500) · NOT_SUPPORTED (501) · UPSTREAM_ERROR (502)
+
+import crypto from "crypto";
+
+// Raisons Drive (errors[].reason) qui signalent un quota / une limite de débit plutôt qu'un refus d'accès
+const QUOTA_REASONS = new Set([
+  "rateLimitExceeded", "userRateLimitExceeded", "dailyLimitExceeded", "quotaExceeded", "storageQuotaExceeded",
+  "sharingRateLimitExceeded", "RATE_LIMIT_EXCEEDED", "RESOURCE_EXHAUSTED"
+]);
+
+// ID de la requête: celui de Netlify (x-nf-request-id) s'il existe, sinon généré
+export function requestIdOf(headers = {}) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === "x-nf-request-id");
+  return (key && headers[key]) || crypto.randomUUID();
+}
+
+// Réponse d'erreur Google (fetch) → { status, reason, message } ; lit le corps
+export async function readUpstreamError(res) {
+  const text = await res.text().catch(() => "");
+  let reason = "";
+  let message = text.slice(0, 300);
+  try {
+    const err = JSON.parse(text).error || {};
+    reason = err.errors?.[0]?.reason || err.status || "";
+    message = err.message || message;
+  } catch {
+    // corps non JSON (HTML d'erreur, vide…) : on garde le texte tronqué
+  }
+  return { status: res.status, reason, message };
+}
+
+// Statut renvoyé par Drive (ou un stockage local) → { status, code } côté proxy
+export function mapUpstreamStatus(status, reason = "") {
+  if (status === 429 || QUOTA_REASONS.has(reason)) return { status: 429, code: "QUOTA_EXCEEDED" };
+  if (status === 400) return { status: 400, code: "BAD_REQUEST" };
+  if (status === 403) return { status: 403, code: "PERMISSION_DENIED" };
+  if (status === 404) return { status: 404, code: "NOT_FOUND" };
+  if (status === 409) return { status: 409, code: "CONFLICT" };
+  if (status === 416) return { status: 416, code: "RANGE_NOT_SATISFIABLE" };
+  // 401 (jeton du compte de service refusé), 5xx, statut inconnu → panne côté Google
+  return { status: 502, code: "UPSTREAM_ERROR" };
+}
+
+// → { statusCode, headers, body } prêt pour corsResponse() (format Lambda)
+export function errorResponse(status, code, message, { headers = {}, upstream, ...details } = {}) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store", ...headers },
+    body: JSON.stringify({ code, status, message, ...(upstream ? { upstream } : {}), ...details })
+  };
+}
+
+// Échec d'un stockage ({ ok: false, status, upstream? }) → réponse d'erreur
+export function upstreamErrorResponse(failure, message) {
+  const upstream = failure?.upstream;
+  const mapped = mapUpstreamStatus(failure?.status, upstream?.reason);
+  return errorResponse(mapped.status, mapped.code, message, upstream ? { upstream } : {});
+}
+
+// Ajoute l'ID de requête (en-tête X-Request-Id et, pour une erreur JSON, champ requestId)
+export function withRequestId(response, requestId) {
+  response.headers = { ...(response.headers || {}), "X-Request-Id": requestId };
+  if (response.statusCode >= 400 && typeof response.body === "string" && response.body.startsWith("{")) {
+    try {
+      const data = JSON.parse(response.body);
+      if (data.code) response.body = JSON.stringify({ ...data, requestId });
+    } catch {
+      // corps non JSON : l'en-tête suffit
+    }
+  }
+  return response;
+}
@@ -0,0 +1,66 @@
+// google.js — Accès Google partagé par les fonctions: jeton Service Account + fetch avec retries.
+// Var Netlify: GOOGLE_SERVICE_ACCOUNT_JSON (JSON complet du compte de service).
+
+import { google } from "googleapis";
+
+export const DRIVE_API = "https://www.googleapis.com/drive/v3";
+export const UPLOAD_URL = "https://www.googleapis.com/upload/drive/v3/files";
+
+export async function fetchWithRetry(url, options, { attempts = 4, baseDelayMs = 250 } = {}) {
+  let lastErr, res;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      res = await fetch(url, options);
+      // Retry sur 429 et 5xx
+      if (res.ok || ![429, 500, 502, 503, 504].includes(res.status)) return res;
+    } catch (e) {
+      lastErr = e;
+    }
+    const jitter = Math.random() * 100;
+    await new Promise(r => setTimeout(r, baseDelayMs * 2 ** i + jitter));
+  }
+  if (!res) throw lastErr || new Error("fetchWithRetry: unknown error");
+  return res;
+}
+
+// Client et jeton gardés tant que l'instance reste chaude ; renouvelés 5 min avant expiration
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+let driveAuthClient = null;
+let driveToken = null; // { token, expiresAt }
+let driveTokenPromise = null;
+
+export async function getAccessTokenFromServiceAccount() {
+  if (driveToken && driveToken.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) return driveToken.token;
+  // Requêtes simultanées à froid: un seul appel OAuth
+  if (!driveTokenPromise) {
+    driveTokenPromise = mintAccessToken().finally(() => { driveTokenPromise = null; });
+  }
+  return driveTokenPromise;
+}
+
+async function mintAccessToken() {
+  try {
+    if (!driveAuthClient) {
+      const json = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+      if (!json) throw new Error("GOOGLE_SERVICE_ACCOUNT_JSON manquant");
+      const serviceJson = JSON.parse(json);
+
+      const auth = new google.auth.GoogleAuth({
+        credentials: serviceJson,
+        scopes: ["https://www.googleapis.com/auth/drive"]
+      });
+      driveAuthClient = await auth.getClient();
+    }
+
+    const token = await driveAuthClient.getAccessToken();
+    // expiry_date renseignée par google-auth-library ; à défaut on compte 1 h
+    const expiresAt = driveAuthClient.credentials?.expiry_date || Date.now() + 3600 * 1000;
+    driveToken = { token: token.token, expiresAt };
+    return token.token;
+  } catch (err) {
+    console.error("Erreur génération token service account:", err);
+    driveAuthClient = null;
+    driveToken = null;
+    return null;
+  }
+}
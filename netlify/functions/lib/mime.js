@@ -0,0 +1,78 @@
+// mime.js — Types MIME communs aux adaptateurs de stockage (et raccourcis Drive).
+
+export const FOLDER_MIME = "application/vnd.google-apps.folder";
+export const SHORTCUT_MIME = "application/vnd.google-apps.shortcut";
+
+const MIME_BY_EXT = {
+  csv: "text/csv",
+  txt: "text/plain",
+  json: "application/json",
+  pdf: "application/pdf",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime",
+  m4v: "video/x-m4v",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ppsx: "application/vnd.openxmlformats-officedocument.presentationml.slideshow",
+  zip: "application/zip",
+};
+
+// Fichiers Google natifs (pas de contenu binaire) → formats d'export ; le premier sert par défaut
+const WORKSPACE_EXPORTS = {
+  "application/vnd.google-apps.document": {
+    pdf: "application/pdf",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+  },
+  "application/vnd.google-apps.spreadsheet": {
+    xlsx: MIME_BY_EXT.xlsx,
+    pdf: "application/pdf",
+    csv: "text/csv"
+  },
+  "application/vnd.google-apps.presentation": {
+    pdf: "application/pdf",
+    pptx: MIME_BY_EXT.pptx
+  },
+  "application/vnd.google-apps.drawing": {
+    pdf: "application/pdf",
+    png: "image/png"
+  }
+};
+
+export function isWorkspaceMime(mimeType) {
+  return Boolean(WORKSPACE_EXPORTS[mimeType]);
+}
+
+// → { format, mimeType } ou null si le format n'existe pas pour ce type
+export function workspaceExportFormat(mimeType, format) {
+  const formats = WORKSPACE_EXPORTS[mimeType];
+  if (!formats) return null;
+  const key = String(format || Object.keys(formats)[0]).toLowerCase();
+  return formats[key] ? { format: key, mimeType: formats[key] } : null;
+}
+
+export function workspaceFormats(mimeType) {
+  return Object.keys(WORKSPACE_EXPORTS[mimeType] || {});
+}
+
+export function guessMimeType(name, fallback = "application/octet-stream") {
+  const ext = String(name || "").split(".").pop().toLowerCase();
+  return MIME_BY_EXT[ext] || fallback;
+}
+
+// Raccourci → entrée "comme la cible" (id, mimeType), l'id du raccourci est gardé dans shortcutId
+export function resolveShortcut(f) {
+  if (f?.mimeType !== SHORTCUT_MIME || !f.shortcutDetails?.targetId) return { ...f };
+  const { shortcutDetails, ...rest } = f;
+  return {
+    ...rest,
+    id: shortcutDetails.targetId,
+    mimeType: shortcutDetails.targetMimeType || rest.mimeType,
+    shortcutId: f.id
+  };
+}
@@ -0,0 +1,386 @@
+// notes.js — Notes posées sur les courbes (viewer02) : modèle et fichiers de notes (lus / écrits via lib/storage).
+// Les notes vivent dans le dossier du CSV annoté, un fichier par jour : "notes_AAAAMMJJ.json" (jour porté par le
+// nom du CSV), tableau de notes de tous les CSV de ce jour. C'est ce que l'explorateur lit pour poser 📝.
+// CSV sans date dans son nom → "<nom du CSV>.json" (format historique de l'Apps Script).
+// CSV daté : son ancien "<nom du CSV>.json" est encore lu, fusionné dans le fichier du jour à la première
+// écriture puis mis à la corbeille.
+// Note: { id, csvName, fileId, folderId, dossier, author, note, mentions, x, y, color, status ("active" | "inactive"),
+//         resolved, resolvedBy, resolvedAt, replies, createdAt, updatedAt, deletedAt?, rev }
+// Fil de discussion : replies = [{ id, author, text, mentions, createdAt }] (ajout seul, sans contrôle du rev) ;
+// mentions = auteurs cités par "@nom" dans le texte (le front en tire les non-lus qui le concernent).
+// Pièces jointes (photos, PDF) : fichiers Drive à côté du fichier de notes, nommés
+// "notes_AAAAMMJJ_pj-<id de la note>-<aléa>_<nom>" (masqués par l'explorateur) ;
+// attachments = [{ id (ID Drive), name, mimeType, size, author, createdAt }] (ajout seul, comme les réponses).
+// Concurrence optimiste : chaque modification incrémente rev ; modifier / supprimer exige le rev lu par le client,
+// sinon CONFLICT avec la note actuelle. Deux écritures simultanées sur un même fichier restent possibles
+// (Drive n'a pas d'écriture conditionnelle) : la fenêtre se limite à une relecture + une écriture.
+
+import crypto from "crypto";
+
+const NOTE_MAX_CHARS = 5000;
+const AUTHOR_MAX_CHARS = 80;
+const REPLIES_MAX = 200;
+const ATTACHMENTS_MAX = 10;
+// Corps de requête Netlify ≤ 6 Mo une fois le fichier encodé en base64
+export const ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024;
+const ATTACHMENT_TYPES = {
+  "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "application/pdf": "pdf"
+};
+const READ_CONCURRENCY = 8;
+// Liste par dossier / par dates : au-delà, on s'arrête (truncated)
+export const NOTES_LIST_MAX_DOCS = 200;
+
+// Nom de CSV accepté comme clé d'un fichier de notes : pas de chemin
+export const validCsvName = (name) => typeof name === "string" && /^[^\\/]+\.csv$/i.test(name);
+
+// Jour AAAAMMJJ porté par un nom de fichier (SA_20250312.csv…), sinon null
+export const dayOfName = (name) => String(name || "").match(/(\d{8})/)?.[1] || null;
+
+// Fichier de notes d'un CSV : celui de son jour (partagé avec les autres CSV du même jour)
+export const notesDocName = (csvName) => {
+  const day = dayOfName(csvName);
+  return day ? `notes_${day}.json` : String(csvName).replace(/\.csv$/i, "") + ".json";
+};
+
+// Ancien fichier de notes d'un CSV daté (Apps Script, "SA_…_AAAAMMJJ.json"), null s'il se confond avec notesDocName
+export const legacyDocName = (csvName) => dayOfName(csvName) ? String(csvName).replace(/\.csv$/i, "") + ".json" : null;
+
+// "2025-03-12" ou "20250312" → "20250312" (ou null)
+export const compactDay = (v) => {
+  const s = String(v || "").replace(/-/g, "");
+  return /^\d{8}$/.test(s) ? s : null;
+};
+
+const authorOf = (v) => String(v || "Anonyme").trim().slice(0, AUTHOR_MAX_CHARS) || "Anonyme";
+
+// "@Léa, voir @jean.dupont" → ["Léa", "jean.dupont"] (sans doublon, casse ignorée)
+export function mentionsOf(text) {
+  const seen = new Map();
+  for (const [, name] of String(text || "").matchAll(/(?:^|[^\p{L}\p{N}_])@([\p{L}\p{N}_][\p{L}\p{N}_.-]*)/gu)) {
+    const clean = name.replace(/[.-]+$/, "");
+    if (!seen.has(clean.toLowerCase())) seen.set(clean.toLowerCase(), clean);
+  }
+  return [...seen.values()];
+}
+
+const isCoord = (v) => v === "" || v === null || Number.isFinite(Number(v));
+const toCoord = (v) => (v === "" || v === null || v === undefined ? "" : Number(v));
+const validColor = (v) => typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v);
+
+// Ancienne note sans id : id stable tiré de son contenu (sinon impossible de la viser d'une lecture à l'autre)
+const legacyId = (n) => "legacy-" + crypto.createHash("sha1")
+  .update(JSON.stringify([n.createdAt, n.author, n.note, n.x, n.y])).digest("hex").slice(0, 16);
+
+// Note stockée → forme normalisée (anciennes notes sans id / rev / updatedAt)
+function normalizeNote(n) {
+  return {
+    ...n,
+    id: String(n.id || legacyId(n)),
+    status: n.status === "inactive" ? "inactive" : "active",
+    rev: Number.isInteger(n.rev) && n.rev > 0 ? n.rev : 1,
+    updatedAt: n.updatedAt || n.createdAt || null,
+    mentions: Array.isArray(n.mentions) ? n.mentions : mentionsOf(n.note),
+    resolved: n.resolved === true,
+    resolvedBy: n.resolvedBy || null,
+    resolvedAt: n.resolvedAt || null,
+    replies: Array.isArray(n.replies) ? n.replies.filter(r => r && typeof r === "object") : [],
+    attachments: Array.isArray(n.attachments) ? n.attachments.filter(a => a && typeof a === "object" && a.id) : []
+  };
+}
+
+// Contenu d'un fichier de notes → tableau de notes ; l'ancien notes.js écrivait une note seule (objet)
+export function parseNotesDoc(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(data) ? data : data && typeof data === "object" ? [data] : [];
+  return list.filter(n => n && typeof n === "object").map(normalizeNote);
+}
+
+const invalid = (message) => ({ ok: false, status: 400, code: "BAD_REQUEST", message });
+
+// Texte d'une note ou d'une réponse → { ok, text } ou erreur
+function readText(value, what) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return invalid(`${what} vide`);
+  if (text.length > NOTE_MAX_CHARS) return invalid(`${what} trop longue (${NOTE_MAX_CHARS} caractères max)`);
+  return { ok: true, text };
+}
+
+// Champs modifiables (création et mise à jour) → { ok, fields } ou erreur
+function readFields(input, { creating }) {
+  const fields = {};
+  if (input.note !== undefined || creating) {
+    const read = readText(input.note, "Note");
+    if (!read.ok) return read;
+    fields.note = read.text;
+    fields.mentions = mentionsOf(read.text);
+  }
+  if (input.color !== undefined) {
+    if (!validColor(input.color)) return invalid("Couleur invalide (#rrggbb)");
+    fields.color = input.color;
+  }
+  for (const axis of ["x", "y"]) {
+    if (input[axis] === undefined) continue;
+    if (!isCoord(input[axis])) return invalid(`Coordonnée ${axis} invalide`);
+    fields[axis] = toCoord(input[axis]);
+  }
+  if (input.resolved !== undefined && !creating) {
+    if (typeof input.resolved !== "boolean") return invalid("resolved doit valoir true ou false");
+    fields.resolved = input.resolved;
+  }
+  return { ok: true, fields };
+}
+
+// → { ok, note } ou { ok: false, status, code, message }
+export function buildNote(input, now = new Date()) {
+  if (!validCsvName(input.csvName)) return invalid("csvName manquant ou invalide");
+  const read = readFields(input, { creating: true });
+  if (!read.ok) return read;
+
+  const createdAt = now.toISOString();
+  return {
+    ok: true,
+    note: {
+      id: crypto.randomUUID(),
+      csvName: input.csvName,
+      fileId: String(input.fileId || ""),
+      folderId: String(input.folderId || ""),
+      dossier: String(input.dossier || ""),
+      author: authorOf(input.author),
+      x: "",
+      y: "",
+      color: null,
+      ...read.fields,
+      status: "active",
+      resolved: false,
+      resolvedBy: null,
+      resolvedAt: null,
+      replies: [],
+      attachments: [],
+      createdAt,
+      updatedAt: createdAt,
+      rev: 1
+    }
+  };
+}
+
+// Note à modifier, après contrôle du rev fourni → { ok, index } ou erreur (404, 409 avec la note actuelle)
+function findForWrite(notes, id, rev) {
+  const index = notes.findIndex(n => n.id === id);
+  if (index < 0) return { ok: false, status: 404, code: "NOT_FOUND", message: "Note introuvable" };
+  if (!Number.isInteger(Number(rev)) || rev === "" || rev === null || rev === undefined) {
+    return invalid("rev manquant (dernière version lue de la note)");
+  }
+  if (Number(rev) !== notes[index].rev) {
+    return { ok: false, status: 409, code: "CONFLICT", message: "Note modifiée entre-temps", current: notes[index] };
+  }
+  return { ok: true, index };
+}
+
+// Mises à jour (texte, couleur, position, résolu / rouvert par author) → { ok, notes, note } ou erreur
+export function applyNoteUpdate(notes, { id, rev, author, ...changes }, now = new Date()) {
+  const found = findForWrite(notes, id, rev);
+  if (!found.ok) return found;
+  const read = readFields(changes, { creating: false });
+  if (!read.ok) return read;
+  if (!Object.keys(read.fields).length) return invalid("Rien à modifier (note, color, x, y, resolved)");
+
+  const current = notes[found.index];
+  const at = now.toISOString();
+  const note = { ...current, ...read.fields, updatedAt: at, rev: current.rev + 1 };
+  if (read.fields.resolved !== undefined && read.fields.resolved !== current.resolved) {
+    note.resolvedBy = read.fields.resolved ? authorOf(author) : null;
+    note.resolvedAt = read.fields.resolved ? at : null;
+  }
+  return { ok: true, notes: notes.map((n, i) => (i === found.index ? note : n)), note };
+}
+
+// Réponse au fil d'une note : simple ajout, sans rev (deux réponses croisées ne se gênent pas)
+// → { ok, notes, note, reply } ou erreur
+export function applyNoteReply(notes, { id, author, text }, now = new Date()) {
+  const index = notes.findIndex(n => n.id === id && n.status === "active");
+  if (index < 0) return { ok: false, status: 404, code: "NOT_FOUND", message: "Note introuvable" };
+  const read = readText(text, "Réponse");
+  if (!read.ok) return read;
+  const current = notes[index];
+  if (current.replies.length >= REPLIES_MAX) return invalid(`Fil complet (${REPLIES_MAX} réponses max)`);
+
+  const at = now.toISOString();
+  const reply = {
+    id: crypto.randomUUID(), author: authorOf(author), text: read.text, mentions: mentionsOf(read.text), createdAt: at
+  };
+  const note = { ...current, replies: [...current.replies, reply], updatedAt: at, rev: current.rev + 1 };
+  return { ok: true, notes: notes.map((n, i) => (i === index ? note : n)), note, reply };
+}
+
+// Pièce jointe reçue ({ name, mimeType, contentBase64 }) → { ok, name, mimeType, data } ou erreur
+// (nom affiché avec l'extension du type, pour que le front sache comment l'ouvrir)
+export function readAttachment({ name, mimeType, contentBase64 } = {}) {
+  const ext = ATTACHMENT_TYPES[mimeType];
+  if (!ext) return invalid("Type de pièce jointe non accepté (JPEG, PNG, WebP, GIF ou PDF)");
+  if (typeof contentBase64 !== "string" || !contentBase64) return invalid("contentBase64 manquant");
+  const data = Buffer.from(contentBase64, "base64");
+  if (!data.length) return invalid("Pièce jointe vide");
+  if (data.length > ATTACHMENT_MAX_BYTES) {
+    const message = `Pièce jointe trop lourde (${ATTACHMENT_MAX_BYTES / 1024 / 1024} Mo max)`;
+    return { ok: false, status: 413, code: "ATTACHMENT_TOO_LARGE", message };
+  }
+
+  const base = String(name || "piece-jointe")
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_")
+    .replace(/\.[^.]*$/, "")
+    .replace(/^[.\s]+/, "")
+    .trim()
+    .slice(0, 80);
+  return { ok: true, name: `${base || "piece-jointe"}.${ext}`, mimeType, data };
+}
+
+// Nom du fichier Drive d'une pièce jointe : préfixe du fichier de notes + id de la note + aléa
+// (deux photos "image.jpg" d'un même téléphone ne doivent pas s'écraser en stockage local)
+export function attachmentFileName(csvName, noteId, name) {
+  const prefix = notesDocName(csvName).replace(/\.json$/i, "");
+  return `${prefix}_pj-${String(noteId).slice(0, 8)}-${crypto.randomBytes(3).toString("hex")}_${name}`;
+}
+
+// Contrôle avant l'envoi du fichier (évite un fichier orphelin) → { ok } ou erreur
+export function canAttach(notes, id) {
+  const note = notes.find(n => n.id === id && n.status === "active");
+  if (!note) return { ok: false, status: 404, code: "NOT_FOUND", message: "Note introuvable" };
+  if (note.attachments.length >= ATTACHMENTS_MAX) return invalid(`Trop de pièces jointes (${ATTACHMENTS_MAX} max)`);
+  return { ok: true };
+}
+
+// Rattache un fichier déjà déposé → { ok, notes, note, attachment } ou erreur
+export function applyNoteAttachment(notes, { id, file, author }, now = new Date()) {
+  const allowed = canAttach(notes, id);
+  if (!allowed.ok) return allowed;
+  const index = notes.findIndex(n => n.id === id);
+  const current = notes[index];
+
+  const at = now.toISOString();
+  const attachment = {
+    id: file.id, name: file.name, mimeType: file.mimeType, size: file.size, author: authorOf(author), createdAt: at
+  };
+  const note = { ...current, attachments: [...current.attachments, attachment], updatedAt: at, rev: current.rev + 1 };
+  return { ok: true, notes: notes.map((n, i) => (i === index ? note : n)), note, attachment };
+}
+
+// Suppression douce (status "inactive", restaurable à la main dans le JSON) ou définitive (hard) ;
+// removed : note retirée, pour que l'appelant mette ses pièces jointes à la corbeille
+export function applyNoteDelete(notes, { id, rev, hard }, now = new Date()) {
+  const found = findForWrite(notes, id, rev);
+  if (!found.ok) return found;
+
+  const current = notes[found.index];
+  if (hard) return { ok: true, notes: notes.filter((_, i) => i !== found.index), note: null, removed: current };
+  const at = now.toISOString();
+  const note = { ...current, status: "inactive", deletedAt: at, updatedAt: at, rev: current.rev + 1 };
+  return { ok: true, notes: notes.map((n, i) => (i === found.index ? note : n)), note };
+}
+
+// Filtres de liste : CSV (csvName, fileId), dossier du CSV (folderId), jours [from, to] inclus (AAAAMMJJ).
+// Anciennes notes sans csvName : rattachées à tous les CSV du fichier de notes.
+export function filterNotes(notes, { csvName, fileId, folderId, from, to, includeDeleted = false } = {}) {
+  return notes.filter(n => {
+    if (!includeDeleted && n.status !== "active") return false;
+    if (csvName && n.csvName && n.csvName !== csvName) return false;
+    if (fileId && n.fileId !== fileId) return false;
+    if (folderId && n.folderId !== folderId) return false;
+    const day = dayOfName(n.csvName) || String(n.createdAt || "").slice(0, 10).replace(/-/g, "");
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  });
+}
+
+/* --- Fichiers de notes (interface lib/storage) --- */
+
+// csvName : CSV d'un ancien fichier, reporté sur ses notes (sinon rattachées à tous les CSV du jour)
+async function loadDoc(storage, fileId, csvName) {
+  const res = await storage.get(fileId);
+  if (!res.ok) return res;
+  const notes = parseNotesDoc(res.data.toString("utf8"));
+  return { ok: true, fileId, notes: csvName ? notes.map(n => ({ ...n, csvName: n.csvName || csvName })) : notes };
+}
+
+// Notes sans doublon d'ID (ancien fichier pas encore mis à la corbeille) : la version la plus récente l'emporte
+function uniqueById(notes) {
+  const byId = new Map();
+  for (const n of notes) {
+    if (!byId.has(n.id) || n.rev > byId.get(n.id).rev) byId.set(n.id, n);
+  }
+  return [...byId.values()];
+}
+
+// → { ok, fileId (null si pas encore de fichier), legacyFileId, notes } ou échec du stockage
+export async function readNotesDoc(storage, parentId, csvName) {
+  const found = await storage.findChild(parentId, notesDocName(csvName));
+  if (!found.ok) return found;
+  const doc = found.file ? await loadDoc(storage, found.file.id) : { ok: true, fileId: null, notes: [] };
+  if (!doc.ok) return doc;
+
+  const legacyName = legacyDocName(csvName);
+  const legacy = legacyName ? await storage.findChild(parentId, legacyName) : null;
+  if (!legacy?.ok || !legacy.file) return { ...doc, legacyFileId: null };
+  const old = await loadDoc(storage, legacy.file.id, csvName);
+  if (!old.ok) return old;
+  return { ...doc, legacyFileId: legacy.file.id, notes: uniqueById([...doc.notes, ...old.notes]) };
+}
+
+// Relit le fichier, applique mutate(notes) → { ok, notes, … } et réécrit sur le même ID
+// (une révision Drive par écriture, non épinglée) → résultat de mutate + fileId, ou erreur
+export async function writeNotesDoc(storage, parentId, csvName, mutate) {
+  const doc = await readNotesDoc(storage, parentId, csvName);
+  if (!doc.ok) return doc;
+  const out = mutate(doc.notes);
+  if (!out.ok) return out;
+
+  const data = Buffer.from(JSON.stringify(out.notes, null, 2), "utf8");
+  const written = doc.fileId
+    ? await storage.update(doc.fileId, { mimeType: "application/json", data, keepRevision: false })
+    : await storage.put({ parentId, name: notesDocName(csvName), mimeType: "application/json", data, keepRevision: false });
+  if (!written.ok) return written;
+  // Ancien fichier fusionné : à la corbeille (sinon une note supprimée réapparaîtrait) ; en cas d'échec,
+  // les doublons sont écartés à la lecture et on réessaiera à la prochaine écriture
+  if (doc.legacyFileId) {
+    const trashed = await storage.delete(doc.legacyFileId);
+    if (!trashed.ok) console.warn("Notes: ancien fichier non mis à la corbeille:", doc.legacyFileId, trashed.status);
+  }
+  return { ...out, fileId: written.id };
+}
+
+// Notes de tous les fichiers de notes d'un dossier (filtre de jours appliqué d'abord sur les noms)
+// → { ok, notes, truncated } ou échec du stockage
+export async function listNotes(storage, parentId, query = {}) {
+  const listed = await storage.list(parentId);
+  if (!listed.ok) return listed;
+
+  // Le dossier d'un site contient d'autres JSON : seuls ceux nommés par notesDocName (ou legacyDocName, avec
+  // le CSV à reporter sur leurs notes) sont des fichiers de notes
+  const csvNames = listed.files.filter(f => validCsvName(f.name)).map(f => f.name);
+  const docNames = new Set(csvNames.map(notesDocName));
+  const legacyCsv = new Map(csvNames.filter(legacyDocName).map(n => [legacyDocName(n), n]));
+  let docs = listed.files.filter(f => /^notes_\d{8}\.json$/i.test(f.name) || docNames.has(f.name) || legacyCsv.has(f.name)).filter(f => {
+    const day = dayOfName(f.name);
+    return !day || ((!query.from || day >= query.from) && (!query.to || day <= query.to));
+  });
+  const truncated = docs.length > NOTES_LIST_MAX_DOCS;
+  docs = docs.sort((a, b) => b.name.localeCompare(a.name)).slice(0, NOTES_LIST_MAX_DOCS);
+
+  const notes = [];
+  let next = 0;
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, docs.length) }, async () => {
+    while (next < docs.length) {
+      const file = docs[next++];
+      const doc = await loadDoc(storage, file.id, legacyCsv.get(file.name));
+      if (doc.ok) notes.push(...filterNotes(doc.notes, query));
+    }
+  }));
+
+  const sorted = uniqueById(notes).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return { ok: true, notes: sorted, truncated };
+}
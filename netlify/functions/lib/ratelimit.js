@@ -0,0 +1,61 @@
+// ratelimit.js — Limites de débit du proxy (seau à jetons) par tenant et par IP du client.
+// Un balayage de fond (jours chauds) ou un ZIP ne doit pas épuiser le quota Drive commun à tous les clients.
+// Seaux en mémoire, par instance de fonction : la limite est approchée (plusieurs instances), jamais bloquante à tort.
+//
+// Réglages (env) : RATE_LIMIT_PER_SEC / RATE_LIMIT_BURST (tenant), RATE_LIMIT_CLIENT_PER_SEC / RATE_LIMIT_CLIENT_BURST
+// (IP, y compris avant connexion) ; "rateLimit": { perSecond, burst } sur un tenant de config.json.
+
+const num = (v, fallback) => (Number(v) > 0 ? Number(v) : fallback);
+
+const TENANT_LIMIT = {
+  perSecond: num(process.env.RATE_LIMIT_PER_SEC, 10),
+  burst: num(process.env.RATE_LIMIT_BURST, 120)
+};
+const CLIENT_LIMIT = {
+  perSecond: num(process.env.RATE_LIMIT_CLIENT_PER_SEC, 20),
+  burst: num(process.env.RATE_LIMIT_CLIENT_BURST, 200)
+};
+
+// Seaux inactifs oubliés au-delà de ce nombre (mémoire bornée)
+const MAX_BUCKETS = 5000;
+// `${scope}:${clé}` → { tokens, at }
+const buckets = new Map();
+
+// Prélève cost jetons → { ok: true } ou { ok: false, retryAfter } (secondes avant d'avoir assez de jetons)
+function take(key, { perSecond, burst }, cost, now) {
+  cost = Math.min(cost, burst);
+  const bucket = buckets.get(key) || { tokens: burst, at: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * perSecond);
+  bucket.at = now;
+
+  buckets.delete(key);
+  buckets.set(key, bucket);
+  if (buckets.size > MAX_BUCKETS) buckets.delete(buckets.keys().next().value);
+
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    return { ok: true };
+  }
+  return { ok: false, retryAfter: Math.max(1, Math.ceil((cost - bucket.tokens) / perSecond)) };
+}
+
+// IP du client (posée par Netlify) ; pas l'en-tête Origin, que n'importe quel script choisit librement
+export function clientKey(headers = {}) {
+  const get = (name) => {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : "";
+  };
+  return get("x-nf-client-connection-ip") || String(get("x-forwarded-for")).split(",")[0].trim() || "inconnue";
+}
+
+export function checkClientLimit(ip, cost = 1, now = Date.now()) {
+  return { scope: "client", ...take(`client:${ip}`, CLIENT_LIMIT, cost, now) };
+}
+
+export function checkTenantLimit(tenant, cost = 1, now = Date.now()) {
+  const limit = {
+    perSecond: num(tenant.rateLimit?.perSecond, TENANT_LIMIT.perSecond),
+    burst: num(tenant.rateLimit?.burst, TENANT_LIMIT.burst)
+  };
+  return { scope: "tenant", ...take(`tenant:${tenant.tenant}`, limit, cost, now) };
+}
@@ -0,0 +1,138 @@
+// scope.js — Périmètre d'un tenant : chaînes de parents (fil d'Ariane) et appartenance d'un élément à ses racines
+// (racine Drive, extraRootIds, cibles des raccourcis de sites). Partagé par drive.js et notes.js.
+
+import { errorResponse, mapUpstreamStatus, upstreamErrorResponse } from "./errors.js";
+import { FOLDER_MIME, SHORTCUT_MIME } from "./mime.js";
+
+const isFolderOrShortcut = (f) => f?.mimeType === FOLDER_MIME ||
+  (f?.mimeType === SHORTCUT_MIME && f?.shortcutDetails?.targetMimeType === FOLDER_MIME);
+const realIdOf = (f) => (f?.mimeType === SHORTCUT_MIME && f?.shortcutDetails?.targetId ? f.shortcutDetails.targetId : f?.id);
+
+// L'arborescence bouge peu, on garde le résultat 5 min : un déplacement fait ailleurs (interface Drive,
+// autre instance de la fonction) finit par être vu
+const STRUCTURE_TTL_MS = 5 * 60 * 1000;
+// id → { at, value: { name, parents } }
+const folderInfoCache = new Map();
+// `${rootId}:${folderId}` → { at, value: [{ id, name }, ...] depuis la racine (exclue), ou null si hors racine }
+const chainCache = new Map();
+
+function freshEntry(cache, key) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < STRUCTURE_TTL_MS) return hit;
+  if (hit) cache.delete(key);
+  return null;
+}
+
+export async function getFolderInfo(id, storage) {
+  const key = `${storage.type}:${id}`;
+  const hit = freshEntry(folderInfoCache, key);
+  if (hit) return hit.value;
+  const meta = await storage.meta(id);
+  const info = meta ? { id: meta.id, name: meta.name, parents: meta.parents } : null;
+  // Échec passager (quota, panne) → pas de "introuvable" gardé en cache
+  if (info || !isTransientFailure(storage.lastFailure)) folderInfoCache.set(key, { at: Date.now(), value: info });
+  return info;
+}
+
+// Déjà connu (sans appel Drive) → { id, name, parents } ou null
+export function cachedFolderInfo(id, storage) {
+  return freshEntry(folderInfoCache, `${storage.type}:${id}`)?.value || null;
+}
+
+// Remonte les parents jusqu'à rootId (profondeur bornée)
+export async function folderChain(id, rootId, storage, depth = 0) {
+  if (id === rootId) return [];
+  const key = `${rootId}:${id}`;
+  const hit = freshEntry(chainCache, key);
+  if (hit) return hit.value;
+  if (depth > 20) return null;
+
+  const info = await getFolderInfo(id, storage);
+  let chain = null;
+  for (const p of info?.parents || []) {
+    const up = await folderChain(p, rootId, storage, depth + 1);
+    if (up) { chain = [...up, { id, name: info.name }]; break; }
+  }
+  chainCache.set(key, { at: Date.now(), value: chain });
+  return chain;
+}
+
+// Dossiers entre la racine et l'élément (à partir de ses parents), null si hors racine
+export async function chainOfParents(parents, rootId, storage) {
+  for (const p of parents || []) {
+    const chain = await folderChain(p, rootId, storage);
+    if (chain) return chain;
+  }
+  return null;
+}
+
+export async function isUnderRoot(parents, rootId, storage) {
+  return (await chainOfParents(parents, rootId, storage)) !== null;
+}
+
+// Les sites sont souvent des raccourcis vers des dossiers hors racine : leurs cibles
+// (2 premiers niveaux) font partie du périmètre, recalculé toutes les 10 min.
+const SCOPE_TTL_MS = 10 * 60 * 1000;
+const SCOPE_SHORTCUT_LEVELS = 2;
+const SCOPE_CONCURRENCY = 4;
+// `${type}:${driveRootId}` → { at, roots: Set }
+const scopeCache = new Map();
+
+export async function tenantScopeRoots(tenant, storage) {
+  const key = `${storage.type}:${tenant.driveRootId}`;
+  const hit = scopeCache.get(key);
+  if (hit && Date.now() - hit.at < SCOPE_TTL_MS) return hit.roots;
+
+  const roots = new Set([tenant.driveRootId, ...tenant.extraRootIds]);
+  let level = [tenant.driveRootId];
+  for (let d = 0; d < SCOPE_SHORTCUT_LEVELS && level.length; d++) {
+    const listings = [];
+    for (let i = 0; i < level.length; i += SCOPE_CONCURRENCY) {
+      listings.push(...await Promise.all(level.slice(i, i + SCOPE_CONCURRENCY).map((fid) => storage.list(fid))));
+    }
+    level = [];
+    for (const listed of listings) {
+      if (!listed.ok) continue;
+      for (const f of listed.files) {
+        if (!isFolderOrShortcut(f)) continue;
+        if (f.mimeType === SHORTCUT_MIME) roots.add(realIdOf(f));
+        level.push(realIdOf(f));
+      }
+    }
+  }
+
+  scopeCache.set(key, { at: Date.now(), roots });
+  return roots;
+}
+
+export const isTransientFailure = (failed) =>
+  !!failed && ["QUOTA_EXCEEDED", "UPSTREAM_ERROR"].includes(mapUpstreamStatus(failed.status, failed.upstream?.reason).code);
+
+// Refus de périmètre ; si Drive n'a simplement pas répondu (quota, panne), on renvoie plutôt son erreur
+export function scopeDenied(storage) {
+  return isTransientFailure(storage.lastFailure)
+    ? upstreamErrorResponse(storage.lastFailure, "Vérification du périmètre impossible")
+    : errorResponse(403, "OUT_OF_SCOPE", "Accès refusé: élément hors du périmètre du client");
+}
+
+// Fichier ou dossier: est-ce une racine du périmètre ou un de leurs descendants ?
+export async function isInTenantScope(id, tenant, storage) {
+  if (!id) return false;
+  if (storage.contains) return storage.contains(id);
+  const roots = await tenantScopeRoots(tenant, storage);
+  if (roots.has(id)) return true;
+
+  const info = await getFolderInfo(id, storage);
+  if (!info?.parents?.length) return false;
+  for (const rootId of roots) {
+    if (await isUnderRoot(info.parents, rootId, storage)) return true;
+  }
+  return false;
+}
+
+// Après un déplacement / renommage / corbeille, les chaînes de parents et le périmètre ne sont plus sûrs
+export function forgetStructure(storage, id) {
+  folderInfoCache.delete(`${storage.type}:${id}`);
+  chainCache.clear();
+  scopeCache.clear();
+}
@@ -0,0 +1,313 @@
+// storage/drive.js — Adaptateur Google Drive (API REST v3, jeton Service Account).
+
+import { readUpstreamError } from "../errors.js";
+import { DRIVE_API, UPLOAD_URL, fetchWithRetry } from "../google.js";
+import { FOLDER_MIME, SHORTCUT_MIME } from "../mime.js";
+
+const LIST_FIELDS =
+  "nextPageToken, files(id,name,mimeType,size,createdTime,modifiedTime,md5Checksum,imageMediaMetadata(time)," +
+  "shortcutDetails(targetId,targetMimeType))";
+const META_FIELDS = "id,name,mimeType,size,modifiedTime,md5Checksum,parents";
+
+function buildMultipartBody(metadata, data, boundary) {
+  return Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
+      JSON.stringify(metadata) + "\r\n" +
+      `--${boundary}\r\n` +
+      `Content-Type: ${metadata.mimeType}\r\n\r\n`
+    ),
+    data,
+    Buffer.from(`\r\n--${boundary}--`)
+  ]);
+}
+
+// Échec Drive → { ok: false, status, upstream: { status, reason, message } } (cf. lib/errors.js)
+async function failure(res, label) {
+  const upstream = await readUpstreamError(res);
+  console.error(`${label}:`, res.status, upstream.reason, upstream.message);
+  return { ok: false, status: res.status, upstream };
+}
+
+export function createDriveStorage(token) {
+  const auth = { Authorization: `Bearer ${token}` };
+  const fileUrl = (id, params = {}) => `${DRIVE_API}/files/${encodeURIComponent(id)}?` +
+    new URLSearchParams({ supportsAllDrives: "true", ...params }).toString();
+
+  // Si l'ID est un raccourci vers un dossier → ID du dossier cible, sinon l'ID tel quel
+  async function resolveFolderId(id) {
+    try {
+      const metaRes = await fetchWithRetry(fileUrl(id, { fields: "id,mimeType,shortcutDetails(targetId,targetMimeType)" }), {
+        headers: auth
+      });
+
+      // Si le GET meta échoue, on ne bloque pas : on tentera la liste avec id tel quel
+      if (metaRes.ok) {
+        const meta = await metaRes.json().catch(() => ({}));
+        const isShortcutFolder =
+          meta?.mimeType === SHORTCUT_MIME &&
+          meta?.shortcutDetails?.targetMimeType === FOLDER_MIME &&
+          meta?.shortcutDetails?.targetId;
+
+        if (isShortcutFolder) return meta.shortcutDetails.targetId;
+      }
+
+    } catch (e) {
+      console.warn("Shortcut resolve failed:", e);
+    }
+    return id;
+  }
+
+  async function setTrashed(id, trashed) {
+    const res = await fetchWithRetry(fileUrl(id, { fields: "id,trashed,parents" }), {
+      method: "PATCH",
+      headers: { ...auth, "Content-Type": "application/json; charset=UTF-8" },
+      body: JSON.stringify({ trashed })
+    });
+    if (!res.ok) return failure(res, trashed ? "Erreur suppression Drive" : "Erreur restauration Drive");
+    const result = await res.json().catch(() => ({}));
+    return { ok: true, parents: result.parents || [] };
+  }
+
+  return {
+    type: "drive",
+    // Routes propres à Drive (changes, recherche, upload avec reprise)
+    token,
+
+    // Liste paginée des fichiers d'un dossier (ID résolu si raccourci) ; { trashed: true } → sa corbeille
+    async list(id, { trashed = false } = {}) {
+      const folderId = await resolveFolderId(id);
+
+      const allFiles = [];
+      let pageToken = undefined;
+
+      do {
+        const params = new URLSearchParams();
+        params.set("q", `'${folderId}' in parents and trashed=${trashed}`);
+        params.set("fields", LIST_FIELDS);
+        params.set("pageSize", "1000");
+        params.set("supportsAllDrives", "true");
+        params.set("includeItemsFromAllDrives", "true");
+        if (pageToken) params.set("pageToken", pageToken);
+
+        const response = await fetchWithRetry(`${DRIVE_API}/files?${params.toString()}`, { headers: auth });
+        if (!response.ok) return failure(response, "Erreur list Drive");
+
+        const data = await response.json().catch(() => ({}));
+        allFiles.push(...(data.files || []));
+        pageToken = data.nextPageToken;
+
+      } while (pageToken);
+
+      return { ok: true, folderId, files: allFiles };
+    },
+
+    // Métadonnées (taille pour les plages, validateurs pour ETag / If-Range, parents pour le périmètre)
+    async meta(id) {
+      this.lastFailure = null;
+      const res = await fetchWithRetry(fileUrl(id, { fields: META_FIELDS }), { headers: auth });
+      if (!res.ok) {
+        this.lastFailure = await failure(res, "Erreur meta Drive");
+        return null;
+      }
+      return res.json().catch(() => null);
+    },
+
+    // revision: ID d'une version antérieure (cf. revisions())
+    async get(id, { range, revision } = {}) {
+      const headers = { ...auth };
+      if (range) headers.Range = `bytes=${range.start}-${range.end}`;
+
+      const url = revision
+        ? `${DRIVE_API}/files/${encodeURIComponent(id)}/revisions/${encodeURIComponent(revision)}?alt=media`
+        : fileUrl(id, { alt: "media" });
+      const res = await fetchWithRetry(url, { headers });
+      if (!res.ok) return failure(res, "Erreur Google Drive GET");
+
+      return {
+        ok: true,
+        // Drive renvoie 206 si la plage a été honorée, sinon 200 avec le fichier entier
+        partial: Boolean(range) && res.status === 206,
+        contentType: res.headers.get("content-type"),
+        data: Buffer.from(await res.arrayBuffer())
+      };
+    },
+
+    // Révisions du contenu, de la plus ancienne à l'actuelle (Drive purge celles qui ne sont pas épinglées)
+    async revisions(id) {
+      const revisions = [];
+      let pageToken = undefined;
+      do {
+        const params = new URLSearchParams({
+          fields: "nextPageToken, revisions(id,modifiedTime,size,md5Checksum,keepForever,lastModifyingUser(displayName))",
+          pageSize: "200"
+        });
+        if (pageToken) params.set("pageToken", pageToken);
+
+        const res = await fetchWithRetry(`${DRIVE_API}/files/${encodeURIComponent(id)}/revisions?${params.toString()}`, {
+          headers: auth
+        });
+        if (!res.ok) return failure(res, "Erreur révisions Drive");
+
+        const data = await res.json().catch(() => ({}));
+        for (const r of data.revisions || []) {
+          revisions.push({
+            id: r.id,
+            modifiedTime: r.modifiedTime,
+            size: r.size,
+            md5Checksum: r.md5Checksum,
+            keepForever: Boolean(r.keepForever),
+            author: r.lastModifyingUser?.displayName || ""
+          });
+        }
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+
+      if (revisions.length) revisions[revisions.length - 1].current = true;
+      return { ok: true, revisions };
+    },
+
+    // Fichier Google natif (Docs, Sheets, Slides…) converti au type demandé (10 Mo max côté Drive)
+    async export(id, mimeType) {
+      const res = await fetchWithRetry(`${DRIVE_API}/files/${encodeURIComponent(id)}/export?` +
+        new URLSearchParams({ mimeType }).toString(), { headers: auth });
+      if (!res.ok) return failure(res, "Erreur export Google Drive");
+      return { ok: true, contentType: mimeType, data: Buffer.from(await res.arrayBuffer()) };
+    },
+
+    // Vignette générée par Drive (thumbnailLink, taille demandée en pixels)
+    async thumbnail(id, size) {
+      const metaRes = await fetchWithRetry(fileUrl(id, { fields: "thumbnailLink" }), { headers: auth });
+      if (!metaRes.ok) return failure(metaRes, "Erreur vignette Drive");
+      const { thumbnailLink } = await metaRes.json().catch(() => ({}));
+      if (!thumbnailLink) return { ok: false, status: 404 };
+
+      // thumbnailLink se termine par "=s220" : on y met la taille voulue
+      const res = await fetchWithRetry(thumbnailLink.replace(/=s\d+$/, `=s${size}`), { headers: auth });
+      if (!res.ok) return failure(res, "Erreur vignette Drive");
+      return {
+        ok: true,
+        contentType: res.headers.get("content-type") || "image/jpeg",
+        data: Buffer.from(await res.arrayBuffer())
+      };
+    },
+
+    // Contenu en flux (archive ZIP) : rien n'est mis en mémoire
+    async stream(id) {
+      const res = await fetchWithRetry(fileUrl(id, { alt: "media" }), { headers: auth });
+      if (!res.ok) return failure(res, "Erreur Google Drive GET");
+      return { ok: true, body: res.body };
+    },
+
+    async mkdir({ parentId, name }) {
+      const res = await fetchWithRetry(`${DRIVE_API}/files?supportsAllDrives=true&fields=id,name,mimeType`, {
+        method: "POST",
+        headers: { ...auth, "Content-Type": "application/json; charset=UTF-8" },
+        body: JSON.stringify({ name, mimeType: FOLDER_MIME, parents: [parentId] })
+      });
+      if (!res.ok) return failure(res, "Erreur création dossier Drive");
+      const result = await res.json();
+      return { ok: true, id: result.id };
+    },
+
+    // keepRevision: première version épinglée elle aussi, pour rester consultable après un remplacement
+    async put({ parentId, name, mimeType, data, keepRevision = true }) {
+      const metadata = { name, parents: [parentId], mimeType };
+      const boundary = "-------smesuploadboundary" + Date.now();
+
+      const res = await fetchWithRetry(`${UPLOAD_URL}?uploadType=multipart&supportsAllDrives=true&keepRevisionForever=${keepRevision}`, {
+        method: "POST",
+        headers: { ...auth, "Content-Type": `multipart/related; boundary=${boundary}` },
+        body: buildMultipartBody(metadata, data, boundary)
+      });
+      if (!res.ok) return failure(res, "Erreur upload");
+
+      const result = await res.json();
+      return { ok: true, id: result.id };
+    },
+
+    // Nouveau contenu sur le même ID : Drive en fait une révision, l'ancienne reste consultable.
+    // keepRevision → révision conservée sans limite de durée (sinon Drive purge après 30 jours / 100 révisions) ;
+    // au-delà de 200 révisions épinglées Drive refuse : on réessaie alors sans épingler.
+    async update(id, { mimeType, data, keepRevision = true }) {
+      const send = (pin) => fetchWithRetry(`${UPLOAD_URL}/${encodeURIComponent(id)}?` + new URLSearchParams({
+        uploadType: "media",
+        supportsAllDrives: "true",
+        fields: "id,name",
+        keepRevisionForever: String(pin)
+      }).toString(), {
+        method: "PATCH",
+        headers: { ...auth, "Content-Type": mimeType || "application/octet-stream" },
+        body: data
+      });
+
+      let res = await send(keepRevision);
+      if (!res.ok && keepRevision && [400, 403].includes(res.status)) {
+        const first = await failure(res, "Révision non épinglée");
+        if (first.upstream.reason !== "insufficientFilePermissions") res = await send(false);
+      }
+      if (!res.ok) return failure(res, "Erreur mise à jour Drive");
+
+      const result = await res.json().catch(() => ({}));
+      return { ok: true, id: result.id || id };
+    },
+
+    // Élément de ce nom dans un dossier (hors corbeille ; le plus récent s'il y a des doublons)
+    async findChild(parentId, name) {
+      const escaped = String(name).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+      const res = await fetchWithRetry(`${DRIVE_API}/files?` + new URLSearchParams({
+        q: `'${parentId}' in parents and name = '${escaped}' and trashed=false`,
+        fields: "files(id,name,mimeType)",
+        orderBy: "modifiedTime desc",
+        pageSize: "1",
+        supportsAllDrives: "true",
+        includeItemsFromAllDrives: "true"
+      }).toString(), { headers: auth });
+      if (!res.ok) return failure(res, "Erreur recherche Drive");
+
+      const data = await res.json().catch(() => ({}));
+      return { ok: true, file: data.files?.[0] || null };
+    },
+
+    // Déplacement et/ou renommage
+    async move(id, { parentId, name } = {}) {
+      const params = { fields: "id,name,parents" };
+      if (parentId) {
+        const current = await this.meta(id);
+        if (!current) return { ok: false, status: 404 };
+        params.addParents = parentId;
+        params.removeParents = (current.parents || []).join(",");
+      }
+
+      const res = await fetchWithRetry(fileUrl(id, params), {
+        method: "PATCH",
+        headers: { ...auth, "Content-Type": "application/json; charset=UTF-8" },
+        body: JSON.stringify(name ? { name } : {})
+      });
+      if (!res.ok) return failure(res, "Erreur déplacement Drive");
+      return { ok: true, ...(await res.json().catch(() => ({}))) };
+    },
+
+    // Copie d'un fichier (Drive ne copie pas les dossiers)
+    async copy(id, { parentId, name } = {}) {
+      const res = await fetchWithRetry(`${DRIVE_API}/files/${encodeURIComponent(id)}/copy?supportsAllDrives=true&fields=id,name`, {
+        method: "POST",
+        headers: { ...auth, "Content-Type": "application/json; charset=UTF-8" },
+        body: JSON.stringify({ ...(parentId ? { parents: [parentId] } : {}), ...(name ? { name } : {}) })
+      });
+      if (!res.ok) return failure(res, "Erreur copie Drive");
+      const result = await res.json();
+      return { ok: true, id: result.id };
+    },
+
+    // Mise à la corbeille (restaurable avec restore)
+    async delete(id) {
+      return setTrashed(id, true);
+    },
+
+    async restore(id) {
+      return setTrashed(id, false);
+    }
+  };
+}
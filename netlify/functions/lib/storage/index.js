@@ -0,0 +1,43 @@
+// storage/index.js — Choix du stockage d'un tenant.
+//
+// Interface commune (méthodes async ; ID opaques pour le front) :
+//   list(folderId, { trashed })             → { ok, folderId, files: [{ id, name, mimeType, size, createdTime, modifiedTime, … }] }
+//   meta(id)                                → { id, name, mimeType, size, modifiedTime, md5Checksum?, parents } ou null
+//                                             (Drive: lastFailure garde alors l'échec, ex. quota ≠ introuvable)
+//   get(id, { range, revision })            → { ok, data: Buffer, contentType, partial }
+//   revisions(id)                           → { ok, revisions: [{ id, modifiedTime, size, md5Checksum?, keepForever,
+//                                             author?, current? }] } (de la plus ancienne à l'actuelle)
+//   stream(id)                              → { ok, body } (flux itérable d'octets, pour les archives)
+//   export(id, mimeType)                    → { ok, data: Buffer, contentType } (Drive seulement: Docs/Sheets/Slides)
+//   thumbnail(id, size)                     → { ok, data: Buffer, contentType } (facultatif: sinon pas de vignette)
+//   put({ parentId, name, mimeType, data }) → { ok, id }
+//   update(id, { mimeType, data })          → { ok, id }  (même ID ; l'ancien contenu reste une révision / .versions/)
+//   findChild(parentId, name)               → { ok, file: { id, name, mimeType } ou null }
+//   mkdir({ parentId, name })               → { ok, id }
+//   move(id, { parentId, name })            → { ok }   (renommage si seul name est fourni)
+//   copy(id, { parentId, name })            → { ok, id } (fichiers seulement)
+//   delete(id) / restore(id)                → { ok, parents }  (corbeille: trashed sur Drive, .corbeille/ en local)
+//   contains(id)                            → facultatif: appartenance au tenant connue sans remonter les parents
+// Échec: { ok: false, status, upstream? } avec le statut HTTP (et la réponse Drive, cf. lib/errors.js).
+//
+// config.json: "storage": { "type": "local", "dir": "/srv/smes/OXYANE" } sur un tenant ;
+// LOCAL_STORAGE_DIR (env) bascule tous les tenants sur <dir>/<TENANT> (dev, jeu de test).
+
+import path from "path";
+import { getAccessTokenFromServiceAccount } from "../google.js";
+import { createDriveStorage } from "./drive.js";
+import { createLocalStorage } from "./local.js";
+import { usesLocalStorage } from "../tenants.js";
+
+// → adaptateur, ou null si le jeton Drive n'a pas pu être obtenu
+export async function getStorage(tenant) {
+  if (process.env.LOCAL_STORAGE_DIR) {
+    return createLocalStorage(path.join(process.env.LOCAL_STORAGE_DIR, tenant.tenant), tenant.driveRootId);
+  }
+  if (usesLocalStorage(tenant)) {
+    return createLocalStorage(tenant.storage.dir, tenant.driveRootId);
+  }
+
+  const token = await getAccessTokenFromServiceAccount();
+  return token ? createDriveStorage(token) : null;
+}
@@ -0,0 +1,273 @@
+// storage/local.js — Adaptateur dossier local (PC du site, jeu de données de test).
+// Même arborescence que sur Drive: racine → sites → Traça_Temp / Historique / Consommation gaz …
+// Les ID sont les chemins relatifs encodés en base64url (opaques pour le front, comme les ID Drive) ;
+// la racine répond à l'ID Drive du tenant pour que le front n'ait rien à changer.
+
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { FOLDER_MIME, guessMimeType } from "../mime.js";
+
+// Corbeille locale (dossier caché, ignoré des listings) : .corbeille/<horodatage>/<chemin d'origine>
+// → l'élément garde son ID et peut être restauré à sa place.
+const TRASH_DIR = ".corbeille";
+// Versions remplacées (équivalent des révisions Drive) : .versions/<chemin du fichier>/<horodatage>
+const VERSIONS_DIR = ".versions";
+
+export function createLocalStorage(dir, rootId) {
+  const rootDir = path.resolve(dir);
+
+  // ID → chemin absolu ; null si l'ID sort de la racine (../, chemin absolu…)
+  // ou vise un élément caché (.corbeille, .versions : jamais atteints par ID)
+  function toPath(id) {
+    if (!id || id === rootId) return rootDir;
+    const rel = Buffer.from(String(id), "base64url").toString("utf8");
+    if (rel.split(/[\\/]/).some(seg => seg.startsWith("."))) return null;
+    const abs = path.resolve(rootDir, rel);
+    return abs.startsWith(rootDir + path.sep) ? abs : null;
+  }
+
+  function toId(abs) {
+    if (abs === rootDir) return rootId;
+    return Buffer.from(path.relative(rootDir, abs).split(path.sep).join("/"), "utf8").toString("base64url");
+  }
+
+  function entryOf(abs, stat) {
+    const name = path.basename(abs);
+    const isDir = stat.isDirectory();
+    return {
+      id: toId(abs),
+      name,
+      mimeType: isDir ? FOLDER_MIME : guessMimeType(name),
+      ...(isDir ? {} : { size: String(stat.size) }),
+      createdTime: stat.birthtime.toISOString(),
+      modifiedTime: stat.mtime.toISOString()
+    };
+  }
+
+  // Nom de fichier/dossier: pas de séparateur ni de nom caché
+  const validName = (name) => Boolean(name) && !/[\\/]/.test(name) && !String(name).startsWith(".");
+
+  // Version remplacée d'un fichier (cf. update) ; "current" → le fichier lui-même
+  function versionPath(id, revision) {
+    const abs = toPath(id);
+    if (!abs || revision === "current") return abs;
+    if (!/^\d+$/.test(String(revision))) return null;
+    return path.join(rootDir, VERSIONS_DIR, path.relative(rootDir, abs), String(revision));
+  }
+
+  async function statOrNull(abs) {
+    return abs ? fs.stat(abs).catch(() => null) : null;
+  }
+
+  // Copies en corbeille d'un chemin relatif, de la plus récente à la plus ancienne
+  async function trashedCopies(rel) {
+    const trash = path.join(rootDir, TRASH_DIR);
+    const stamps = await fs.readdir(trash).catch(() => []);
+    const out = [];
+    for (const stamp of stamps.sort().reverse()) {
+      const abs = path.join(trash, stamp, rel);
+      const stat = await statOrNull(abs);
+      if (stat) out.push({ abs, stat, trashedTime: new Date(Number(stamp)).toISOString() });
+    }
+    return out;
+  }
+
+  async function listTrashed(id) {
+    const folder = toPath(id);
+    if (!folder) return { ok: false, status: 404 };
+    const rel = path.relative(rootDir, folder);
+
+    const seen = new Set();
+    const files = [];
+    for (const { abs } of await trashedCopies(rel)) {
+      if (!(await statOrNull(abs))?.isDirectory()) continue;
+      for (const name of await fs.readdir(abs)) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+        const stat = await statOrNull(path.join(abs, name));
+        // ID = emplacement d'origine (celui que restore() attend)
+        if (stat) files.push({ ...entryOf(path.join(folder, name), stat), trashed: true });
+      }
+    }
+    return { ok: true, folderId: toId(folder), files };
+  }
+
+  return {
+    type: "local",
+
+    // Les ID sont des chemins sous la racine: tout ID décodable appartient au tenant
+    contains(id) {
+      return toPath(id) !== null;
+    },
+
+    async list(id, { trashed = false } = {}) {
+      if (trashed) return listTrashed(id);
+      const abs = toPath(id);
+      const stat = await statOrNull(abs);
+      if (!stat?.isDirectory()) return { ok: false, status: 404 };
+
+      const dirents = await fs.readdir(abs, { withFileTypes: true });
+      const files = [];
+      for (const d of dirents) {
+        if (d.name.startsWith(".")) continue;
+        const child = path.join(abs, d.name);
+        const s = await statOrNull(child);
+        if (s) files.push(entryOf(child, s));
+      }
+      return { ok: true, folderId: toId(abs), files };
+    },
+
+    async meta(id) {
+      const abs = toPath(id);
+      const stat = await statOrNull(abs);
+      if (!stat) return null;
+      return { ...entryOf(abs, stat), ...(abs === rootDir ? {} : { parents: [toId(path.dirname(abs))] }) };
+    },
+
+    async get(id, { range, revision } = {}) {
+      const abs = revision ? versionPath(id, revision) : toPath(id);
+      const stat = await statOrNull(abs);
+      if (!stat?.isFile()) return { ok: false, status: 404 };
+
+      let data;
+      if (range) {
+        const handle = await fs.open(abs, "r");
+        try {
+          const length = Math.max(0, Math.min(range.end, stat.size - 1) - range.start + 1);
+          data = Buffer.alloc(length);
+          await handle.read(data, 0, length, range.start);
+        } finally {
+          await handle.close();
+        }
+      } else {
+        data = await fs.readFile(abs);
+      }
+      return { ok: true, partial: Boolean(range), contentType: guessMimeType(toPath(id)), data };
+    },
+
+    // Versions remplacées (.versions/) puis contenu actuel (ID "current")
+    async revisions(id) {
+      const abs = toPath(id);
+      const stat = await statOrNull(abs);
+      if (!stat?.isFile()) return { ok: false, status: 404 };
+
+      const dir = path.join(rootDir, VERSIONS_DIR, path.relative(rootDir, abs));
+      const stamps = (await fs.readdir(dir).catch(() => [])).filter(n => /^\d+$/.test(n)).sort((a, b) => a - b);
+      const revisions = [];
+      for (const stamp of stamps) {
+        const s = await statOrNull(path.join(dir, stamp));
+        if (s) revisions.push({ id: stamp, modifiedTime: s.mtime.toISOString(), size: String(s.size), keepForever: true });
+      }
+      revisions.push({
+        id: "current", modifiedTime: stat.mtime.toISOString(), size: String(stat.size), keepForever: true, current: true
+      });
+      return { ok: true, revisions };
+    },
+
+    async stream(id) {
+      const abs = toPath(id);
+      if (!(await statOrNull(abs))?.isFile()) return { ok: false, status: 404 };
+      return { ok: true, body: createReadStream(abs) };
+    },
+
+    async mkdir({ parentId, name }) {
+      const parent = toPath(parentId);
+      if (!(await statOrNull(parent))?.isDirectory()) return { ok: false, status: 404 };
+      if (!validName(name)) return { ok: false, status: 400 };
+
+      const abs = path.join(parent, name);
+      if (await statOrNull(abs)) return { ok: false, status: 409 };
+      await fs.mkdir(abs);
+      return { ok: true, id: toId(abs) };
+    },
+
+    // Un nom déjà pris est écrasé (un dossier ne peut pas contenir deux fichiers homonymes)
+    async put({ parentId, name, data }) {
+      const parent = toPath(parentId);
+      if (!(await statOrNull(parent))?.isDirectory()) return { ok: false, status: 404 };
+      if (!validName(name)) return { ok: false, status: 400 };
+
+      const abs = path.join(parent, name);
+      await fs.writeFile(abs, data);
+      return { ok: true, id: toId(abs) };
+    },
+
+    // Remplacement du contenu sur le même ID ; l'ancien contenu part dans .versions/
+    async update(id, { data }) {
+      const abs = toPath(id);
+      if (!abs || !(await statOrNull(abs))?.isFile()) return { ok: false, status: 404 };
+
+      // La copie garde la date de l'ancien contenu (affichée comme date de la version)
+      const stat = await fs.stat(abs);
+      const versionDir = path.join(rootDir, VERSIONS_DIR, path.relative(rootDir, abs));
+      const copy = path.join(versionDir, String(Date.now()));
+      await fs.mkdir(versionDir, { recursive: true });
+      await fs.copyFile(abs, copy);
+      await fs.utimes(copy, stat.atime, stat.mtime);
+      await fs.writeFile(abs, data);
+      return { ok: true, id };
+    },
+
+    async findChild(parentId, name) {
+      const parent = toPath(parentId);
+      if (!(await statOrNull(parent))?.isDirectory()) return { ok: false, status: 404 };
+      if (!validName(name)) return { ok: false, status: 400 };
+
+      const abs = path.join(parent, name);
+      const stat = await statOrNull(abs);
+      return { ok: true, file: stat ? entryOf(abs, stat) : null };
+    },
+
+    async move(id, { parentId, name } = {}) {
+      const abs = toPath(id);
+      if (!abs || abs === rootDir || !(await statOrNull(abs))) return { ok: false, status: 404 };
+      if (name !== undefined && !validName(name)) return { ok: false, status: 400 };
+
+      const parent = parentId ? toPath(parentId) : path.dirname(abs);
+      if (!(await statOrNull(parent))?.isDirectory()) return { ok: false, status: 404 };
+
+      const target = path.join(parent, name || path.basename(abs));
+      if (target !== abs && (await statOrNull(target))) return { ok: false, status: 409 };
+      await fs.rename(abs, target);
+      return { ok: true, id: toId(target), name: path.basename(target), parents: [toId(parent)] };
+    },
+
+    // Copie d'un fichier (comme sur Drive, pas de copie de dossier)
+    async copy(id, { parentId, name } = {}) {
+      const abs = toPath(id);
+      if (!(await statOrNull(abs))?.isFile()) return { ok: false, status: abs ? 400 : 404 };
+      if (name !== undefined && !validName(name)) return { ok: false, status: 400 };
+
+      const parent = parentId ? toPath(parentId) : path.dirname(abs);
+      if (!(await statOrNull(parent))?.isDirectory()) return { ok: false, status: 404 };
+
+      const target = path.join(parent, name || `Copie de ${path.basename(abs)}`);
+      await fs.copyFile(abs, target);
+      return { ok: true, id: toId(target) };
+    },
+
+    async delete(id) {
+      const abs = toPath(id);
+      if (!abs || abs === rootDir || !(await statOrNull(abs))) return { ok: false, status: 404 };
+
+      const target = path.join(rootDir, TRASH_DIR, String(Date.now()), path.relative(rootDir, abs));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(abs, target);
+      return { ok: true, parents: [toId(path.dirname(abs))] };
+    },
+
+    // Remet la copie la plus récente à son emplacement d'origine (dossiers parents recréés si besoin)
+    async restore(id) {
+      const abs = toPath(id);
+      if (!abs || abs === rootDir) return { ok: false, status: 404 };
+      if (await statOrNull(abs)) return { ok: false, status: 409 };
+
+      const [latest] = await trashedCopies(path.relative(rootDir, abs));
+      if (!latest) return { ok: false, status: 404 };
+      await fs.mkdir(path.dirname(abs), { recursive: true });
+      await fs.rename(latest.abs, abs);
+      return { ok: true, parents: [toId(path.dirname(abs))] };
+    }
+  };
+}
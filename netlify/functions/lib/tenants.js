@@ -0,0 +1,101 @@
+// tenants.js — Registre des tenants (coopératives / clients) partagé par les fonctions.
+// Source: config.json ("tenants": [...]) ; l'ancien format { tenant, driveRootId } reste accepté
+// (DRIVE_ROOT_ID peut alors surcharger la racine).
+//
+// Entrée: { tenant, driveRootId, extraRootIds?, plan, expiry ("YYYY-MM-DD", inclus), graceDays?, noticeDays?, suspended?, storage?,
+//          rateLimit?: { perSecond, burst } (cf. lib/ratelimit.js),
+//          mode?: "site" | "coop", branding?: { name, logo, theme }, modules?: { gaz, hotDays, gallery, zip, search, fileOps } }
+// mode "site": la racine contient directement les sites ; "coop": un dossier par coopérative, puis les sites.
+
+// Attributs d'import (with { type: "json" }) : Node 18.20+ / 20.10+ (engines de package.json)
+import config from "../../../config.json" with { type: "json" };
+
+const DEFAULT_GRACE_DAYS = 15;
+// Préavis avant échéance (bandeau "expire bientôt")
+const DEFAULT_NOTICE_DAYS = 15;
+
+// Thèmes connus du front (index.html, setTheme)
+const THEMES = ["orange", "blue", "green", "purple", "bordeaux"];
+// Modules du front, tous actifs sauf mention contraire dans config.json
+const DEFAULT_MODULES = { gaz: true, hotDays: true, gallery: true, zip: true, search: true, fileOps: true };
+const DAY_MS = 24 * 3600 * 1000;
+
+function normalizeTenant(t) {
+  return {
+    tenant: t.tenant,
+    driveRootId: t.driveRootId,
+    // Racines supplémentaires autorisées (dossiers hors racine atteints par raccourci)
+    extraRootIds: Array.isArray(t.extraRootIds) ? t.extraRootIds : [],
+    plan: t.plan || "standard",
+    expiry: t.expiry || null,
+    graceDays: Number.isFinite(t.graceDays) ? t.graceDays : DEFAULT_GRACE_DAYS,
+    noticeDays: Number.isFinite(t.noticeDays) ? t.noticeDays : DEFAULT_NOTICE_DAYS,
+    suspended: Boolean(t.suspended),
+    // { type: "local", dir } pour servir un dossier local au lieu de Drive (cf. storage/index.js)
+    storage: t.storage || null,
+    // Débit propre au client (sinon RATE_LIMIT_PER_SEC / RATE_LIMIT_BURST)
+    rateLimit: t.rateLimit || null,
+    mode: t.mode === "coop" ? "coop" : "site",
+    branding: {
+      name: t.branding?.name || t.tenant,
+      logo: t.branding?.logo || "img/logo.png",
+      theme: THEMES.includes(t.branding?.theme) ? t.branding.theme : "orange",
+    },
+    modules: Object.fromEntries(
+      Object.entries(DEFAULT_MODULES).map(([k, on]) => [k, typeof t.modules?.[k] === "boolean" ? t.modules[k] : on])
+    ),
+  };
+}
+
+// Stockage local (cf. storage/index.js) : ni recherche ni flux de changements
+export function usesLocalStorage(tenant) {
+  return Boolean(process.env.LOCAL_STORAGE_DIR) || (tenant.storage?.type === "local" && Boolean(tenant.storage.dir));
+}
+
+// Configuration servie au front (?config=true) : rien de secret (ni stockage local, ni limites)
+export function publicConfig(tenant) {
+  const local = usesLocalStorage(tenant);
+  return {
+    tenant: tenant.tenant,
+    rootFolderId: tenant.driveRootId,
+    mode: tenant.mode,
+    branding: tenant.branding,
+    modules: local ? { ...tenant.modules, search: false } : tenant.modules,
+    // Suivi des modifications par ?changes=… (sinon le front s'en tient au cache des listings)
+    changes: !local,
+  };
+}
+
+export function listTenants() {
+  const raw = Array.isArray(config.tenants) && config.tenants.length
+    ? config.tenants
+    : [{ tenant: config.tenant, driveRootId: process.env.DRIVE_ROOT_ID || config.driveRootId }];
+  return raw.filter(t => t?.tenant && t?.driveRootId).map(normalizeTenant);
+}
+
+export function getTenant(name) {
+  const key = String(name || "").toUpperCase();
+  return listTenants().find(t => t.tenant.toUpperCase() === key) || null;
+}
+
+// État de l'abonnement:
+//   "active"    → accès normal (pas d'échéance ou échéance lointaine)
+//   "expiring"  → échéance dans moins de noticeDays jours, accès normal (bandeau côté front)
+//   "grace"     → échéance dépassée, accès maintenu jusqu'à lockAt (bandeau côté front)
+//   "expired"   → au-delà de la période de grâce → 402
+//   "suspended" → coupure manuelle (impayé, résiliation…) → 403
+export function subscriptionStatus(tenant, now = Date.now()) {
+  if (tenant.suspended) return { state: "suspended", plan: tenant.plan };
+  if (!tenant.expiry) return { state: "active", plan: tenant.plan };
+
+  // L'échéance est incluse: l'accès court jusqu'à la fin de la journée (UTC)
+  const endOfExpiry = Date.parse(`${tenant.expiry}T23:59:59Z`);
+  if (!Number.isFinite(endOfExpiry)) return { state: "active", plan: tenant.plan };
+
+  const lockAt = new Date(endOfExpiry + tenant.graceDays * DAY_MS).toISOString();
+  const base = { plan: tenant.plan, expiry: tenant.expiry, lockAt };
+  if (now <= endOfExpiry - tenant.noticeDays * DAY_MS) return { state: "active", ...base };
+  if (now <= endOfExpiry) return { state: "expiring", ...base };
+  if (now <= Date.parse(lockAt)) return { state: "grace", ...base };
+  return { state: "expired", ...base };
+}
@@ -0,0 +1,83 @@
+// usage.js — Consommation par tenant et par jour (UTC) : requêtes, octets envoyés / reçus, erreurs, refus de débit.
+// Chaque instance de fonction cumule en mémoire et réécrit sa propre clé "<jour>/<TENANT>/<instance>"
+// au plus toutes les USAGE_FLUSH_MS (pas d'écriture concurrente sur une même clé) ;
+// la lecture (route admin) additionne les instances. Les dernières secondes d'une instance arrêtée peuvent manquer.
+
+import crypto from "crypto";
+import { openStore } from "./blobs.js";
+
+const STORE_NAME = "usage";
+const USAGE_FLUSH_MS = 10 * 1000;
+const INSTANCE_ID = crypto.randomUUID();
+
+// `${jour}/${TENANT}` → { tenant, day, requests, bytes, received, errors, limited, routes: { route: n } }
+const totals = new Map();
+const dirty = new Set();
+let lastFlush = 0;
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const emptyUsage = (day, tenant) => ({ day, tenant, requests: 0, bytes: 0, received: 0, errors: 0, limited: 0, routes: {} });
+
+// route: "list", "download", "zip"… ; status: statut HTTP renvoyé ; bytes / received: octets envoyés / reçus (upload)
+export async function recordUsage(tenant, { route = "autre", status = 200, bytes = 0, received = 0 } = {}, now = Date.now()) {
+  if (!tenant) return;
+  const day = dayOf(now);
+  const key = `${day}/${tenant}`;
+  const entry = totals.get(key) || emptyUsage(day, tenant);
+  entry.requests += 1;
+  entry.bytes += Number(bytes) || 0;
+  entry.received += Number(received) || 0;
+  if (status === 429) entry.limited += 1;
+  else if (status >= 400) entry.errors += 1;
+  entry.routes[route] = (entry.routes[route] || 0) + 1;
+  totals.set(key, entry);
+  dirty.add(key);
+
+  // Les jours passés ne bougeront plus : on les écrit une dernière fois puis on les oublie
+  if (now - lastFlush >= USAGE_FLUSH_MS || [...dirty].some(k => !k.startsWith(day))) await flushUsage(now);
+}
+
+export async function flushUsage(now = Date.now()) {
+  lastFlush = now;
+  const store = openStore(STORE_NAME);
+  if (!store || !dirty.size) return;
+
+  const keys = [...dirty];
+  dirty.clear();
+  try {
+    await Promise.all(keys.map(key => store.setJSON(`${key}/${INSTANCE_ID}`, totals.get(key))));
+  } catch (e) {
+    console.warn("Écriture usage impossible:", e.message);
+    keys.forEach(k => dirty.add(k));
+    return;
+  }
+  const today = dayOf(now);
+  for (const key of keys) if (!key.startsWith(today)) totals.delete(key);
+}
+
+// Jours [from, to] (AAAA-MM-JJ, inclus), tenant facultatif → [{ day, tenant, requests, bytes, received, … }] ou null
+export async function readUsage({ from, to, tenant } = {}) {
+  const store = openStore(STORE_NAME);
+  if (!store) return null;
+
+  const days = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * 3600 * 1000) {
+    days.push(dayOf(t));
+  }
+
+  const merged = new Map();
+  for (const day of days) {
+    const prefix = tenant ? `${day}/${tenant}/` : `${day}/`;
+    const { blobs } = await store.list({ prefix });
+    const entries = await Promise.all(blobs.map(b => store.get(b.key, { type: "json" }).catch(() => null)));
+    for (const e of entries) {
+      if (!e) continue;
+      const key = `${e.day}/${e.tenant}`;
+      const acc = merged.get(key) || emptyUsage(e.day, e.tenant);
+      for (const field of ["requests", "bytes", "received", "errors", "limited"]) acc[field] += Number(e[field]) || 0;
+      for (const [route, n] of Object.entries(e.routes || {})) acc.routes[route] = (acc.routes[route] || 0) + n;
+      merged.set(key, acc);
+    }
+  }
+  return [...merged.values()].sort((a, b) => a.day.localeCompare(b.day) || a.tenant.localeCompare(b.tenant));
+}
@@ -0,0 +1,116 @@
+// zip.js — Écriture d'une archive ZIP en flux (méthode "stored", sans compression).
+// Les fichiers sont recopiés tels quels au fil de l'eau : la taille finale est connue d'avance
+// (→ vraie barre de progression côté front) et la mémoire reste celle d'un morceau.
+// Pas de ZIP64 : archive < 4 Go et < 65 535 fichiers (au-delà, l'appelant refuse).
+
+const LOCAL_HEADER = 30;
+const DATA_DESCRIPTOR = 16;
+const CENTRAL_HEADER = 46;
+const END_OF_CENTRAL_DIR = 22;
+// bit 3: CRC et tailles dans le descripteur qui suit les données ; bit 11: noms en UTF-8
+const FLAGS = 0x0808;
+
+export const ZIP_MAX_ENTRIES = 0xffff;
+export const ZIP_MAX_BYTES = 0xffffffff;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(crc, chunk) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < chunk.length; i++) c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Date → { time, date } au format MS-DOS (heure locale, précision 2 s)
+function dosDateTime(iso) {
+  const d = iso ? new Date(iso) : new Date();
+  const valid = !Number.isNaN(d.getTime()) && d.getFullYear() >= 1980;
+  const t = valid ? d : new Date(1980, 0, 1);
+  return {
+    time: (t.getHours() << 11) | (t.getMinutes() << 5) | Math.floor(t.getSeconds() / 2),
+    date: ((t.getFullYear() - 1980) << 9) | ((t.getMonth() + 1) << 5) | t.getDate()
+  };
+}
+
+// Taille exacte de l'archive pour des entrées { path, size }
+export function zipArchiveSize(entries) {
+  return entries.reduce((total, e) => {
+    const nameLen = Buffer.byteLength(e.path, "utf8");
+    return total + LOCAL_HEADER + nameLen + Number(e.size || 0) + DATA_DESCRIPTOR + CENTRAL_HEADER + nameLen;
+  }, END_OF_CENTRAL_DIR);
+}
+
+// Génère l'archive morceau par morceau.
+// entries: [{ path, modifiedTime }] ; open(entry) → flux itérable d'octets, ou null pour sauter l'entrée
+// (fichier disparu, erreur Drive…). Un échec en cours de fichier interrompt l'archive.
+export async function* zipStream(entries, open) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const body = await open(entry);
+    if (!body) continue;
+
+    const name = Buffer.from(entry.path, "utf8");
+    const { time, date } = dosDateTime(entry.modifiedTime);
+
+    const header = Buffer.alloc(LOCAL_HEADER);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(name.length, 26);
+    yield Buffer.concat([header, name]);
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of body) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      crc = crc32(crc, buf);
+      size += buf.length;
+      yield buf;
+    }
+
+    const descriptor = Buffer.alloc(DATA_DESCRIPTOR);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(size, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield descriptor;
+
+    central.push({ name, time, date, crc, size, offset });
+    offset += LOCAL_HEADER + name.length + size + DATA_DESCRIPTOR;
+  }
+
+  const records = central.map(e => {
+    const rec = Buffer.alloc(CENTRAL_HEADER);
+    rec.writeUInt32LE(0x02014b50, 0);
+    rec.writeUInt16LE(20, 4);
+    rec.writeUInt16LE(20, 6);
+    rec.writeUInt16LE(FLAGS, 8);
+    rec.writeUInt16LE(0, 10);
+    rec.writeUInt16LE(e.time, 12);
+    rec.writeUInt16LE(e.date, 14);
+    rec.writeUInt32LE(e.crc, 16);
+    rec.writeUInt32LE(e.size, 20);
+    rec.writeUInt32LE(e.size, 24);
+    rec.writeUInt16LE(e.name.length, 28);
+    rec.writeUInt32LE(e.offset, 42);
+    return Buffer.concat([rec, e.name]);
+  });
+  const directory = Buffer.concat(records);
+
+  const end = Buffer.alloc(END_OF_CENTRAL_DIR);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length, 8);
+  end.writeUInt16LE(central.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  yield Buffer.concat([directory, end]);
+}
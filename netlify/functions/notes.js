@@ -1,83 +1,239 @@
-export default async function handler(event) {
-  const request = event.request;
+// notes.js — Netlify Function (format "v2") : API des notes posées sur les courbes (cf. lib/notes.js)
+//   GET    ?folderId=…&csvName=…[&fileId=…] | ?folderId=…[&from=AAAA-MM-JJ&to=…]  [&includeDeleted=true]
+//                                                                                → { notes, truncated }
+//   POST   { csvName, fileId, folderId, dossier, author, note, x, y, color }    → 201 { note }
+//   POST   ?id=…  { folderId, csvName, author, text }                          → 201 { note, reply } (réponse au fil)
+//   POST   ?id=…&attachment=true  { folderId, csvName, author, name, mimeType, contentBase64 }
+//                                                            → 201 { note, attachment } (photo / PDF, 4 Mo max)
+//   PATCH  ?id=…  { folderId, csvName, rev, author?, note?, color?, x?, y?, resolved? } → { note }
+//   DELETE ?id=…&folderId=…&csvName=…&rev=…[&hard=true]                        → { id, hard, note }
+// folderId = dossier du CSV annoté (périmètre du tenant vérifié) : les notes y sont écrites, un fichier par jour.
+// rev = version de la note lue par le client (concurrence optimiste : 409 CONFLICT + current si elle a bougé).
+// Jeton du tenant requis (Authorization: Bearer, comme drive.js) ; Drive via le Service Account (cf. lib/storage).
+// Vars: AUTH_SECRET, GOOGLE_SERVICE_ACCOUNT_JSON (ou LOCAL_STORAGE_DIR)
 
-  const corsHeaders = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-  };
+import { auditSource, recordAudit } from "./lib/audit.js";
+import { authenticate } from "./lib/auth.js";
+import { errorResponse, requestIdOf, upstreamErrorResponse, withRequestId } from "./lib/errors.js";
+import {
+  applyNoteAttachment, applyNoteDelete, applyNoteReply, applyNoteUpdate, attachmentFileName, buildNote, canAttach,
+  compactDay, filterNotes, listNotes, notesDocName, readAttachment, readNotesDoc, validCsvName, writeNotesDoc
+} from "./lib/notes.js";
+import { checkTenantLimit } from "./lib/ratelimit.js";
+import { isInTenantScope, scopeDenied } from "./lib/scope.js";
+import { getStorage } from "./lib/storage/index.js";
+import { subscriptionStatus } from "./lib/tenants.js";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Expose-Headers": "X-Request-Id, Retry-After",
+};
+
+// Réponse (erreur cf. lib/errors.js, ou JSON) au format Lambda → Response
+function toResponse({ statusCode, headers, body }, requestId) {
+  const out = withRequestId({ statusCode, headers: { ...CORS_HEADERS, ...headers }, body }, requestId);
+  return new Response(out.body, { status: out.statusCode, headers: out.headers });
+}
+
+const jsonResponse = (status, data, requestId) => toResponse({
+  statusCode: status,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data)
+}, requestId);
 
-  if (request.method === "OPTIONS") {
-    return new Response("", { status: 200, headers: corsHeaders });
+// Échec de lib/notes.js ({ ok: false, status, code, message }) ou du stockage ({ ok: false, status, upstream? })
+function failureResponse(failure, requestId) {
+  const { status, code, message, current } = failure;
+  const response = code
+    ? errorResponse(status, code, message, current ? { current } : {})
+    : upstreamErrorResponse(failure, "Erreur Google Drive (notes)");
+  return toResponse(response, requestId);
+}
+
+// Dossier du CSV : son parent réel si fileId est connu (le front peut n'avoir qu'un dossier approximatif),
+// sinon folderId → ID, ou null
+async function csvFolderOf(storage, { fileId, folderId }) {
+  if (fileId) {
+    const meta = await storage.meta(fileId);
+    if (meta?.parents?.length) return meta.parents[0];
   }
+  return folderId || null;
+}
 
-  try {
-    const body = await request.json();
-    const csvName = body.csvName || "SA_inconnu.json";
-    const note = body.note || {};
+export default async function handler(req) {
+  const headers = Object.fromEntries(req.headers);
+  const requestId = requestIdOf(headers);
+  const fail = (status, code, message, details) => toResponse(errorResponse(status, code, message, details), requestId);
 
-    const token = JSON.parse(process.env.GDRIVE_TOKEN);
-    const ACCESS_TOKEN = token.access_token;
+  if (req.method === "OPTIONS") {
+    return new Response("", { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tenant = authenticate({ headers });
+  if (!tenant) return fail(401, "AUTH_REQUIRED", "Authentification requise");
+  const subscription = subscriptionStatus(tenant);
+  if (subscription.state === "suspended") return fail(403, "TENANT_SUSPENDED", "Accès suspendu", { subscription });
+  if (subscription.state === "expired") return fail(402, "SUBSCRIPTION_EXPIRED", "Abonnement expiré", { subscription });
+
+  // Même seau que drive.js ; une liste sur une période relit plusieurs fichiers de notes
+  const cost = req.method === "GET" && !new URL(req.url).searchParams.get("csvName") ? 3 : 1;
+  const limit = checkTenantLimit(tenant, cost);
+  if (!limit.ok) {
+    return fail(429, "RATE_LIMITED", "Trop de requêtes : réessayez dans quelques secondes", {
+      headers: { "Retry-After": String(limit.retryAfter) }, retryAfter: limit.retryAfter, scope: limit.scope
+    });
+  }
 
-    const uploadUrl = "https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart";
+  // Journal d'audit : chaque écriture (création, mise à jour, suppression)
+  const audit = async (response, fields) => {
+    const status = response.status;
+    const outcome = status < 400 ? "ok" : (await response.clone().json().catch(() => ({}))).code || `http_${status}`;
+    await recordAudit({ tenant: tenant.tenant, action: "note", ...auditSource(headers), status, outcome, requestId, ...fields });
+    return response;
+  };
 
-    const boundary = "foo_bar_baz";
-    const metadata = {
-      name: csvName.replace(/\.csv$/i, ".json"),
-      mimeType: "application/json",
-      parents: ["1k_rLI_bt5YibXv7n2Q2xLZ3sOAnRk0Am"], // dossier cible
+  try {
+    const storage = await getStorage(tenant);
+    if (!storage) return fail(500, "CONFIG_ERROR", "Auth Service Account échouée");
+    const params = new URL(req.url).searchParams;
+    // Dossier de notes = dossier du CSV, dans le périmètre du tenant → null si accès possible, sinon réponse d'erreur
+    const checkFolder = async (folderId) => {
+      if (!folderId) return fail(400, "BAD_REQUEST", "folderId requis (dossier du CSV)");
+      return (await isInTenantScope(folderId, tenant, storage)) ? null : toResponse(scopeDenied(storage), requestId);
     };
 
-    const bodyContent =
-      `--${boundary}\r\n` +
-      'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
-      JSON.stringify(metadata) + "\r\n" +
-      `--${boundary}\r\n` +
-      "Content-Type: application/json\r\n\r\n" +
-      JSON.stringify(note, null, 2) + "\r\n" +
-      `--${boundary}--`;
-
-    const gRes = await fetch(uploadUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${ACCESS_TOKEN}`,
-        "Content-Type": `multipart/related; boundary=${boundary}`,
-      },
-      body: bodyContent,
-    });
+    if (req.method === "GET") {
+      const folderId = params.get("folderId");
+      const denied = await checkFolder(folderId);
+      if (denied) return denied;
+      // Les notes d'un dossier sont celles de ses CSV : pas de filtre sur le folderId mémorisé dans chaque note
+      const query = {
+        fileId: params.get("fileId") || "",
+        from: compactDay(params.get("from")),
+        to: compactDay(params.get("to")),
+        includeDeleted: params.get("includeDeleted") === "true"
+      };
+      const csvName = params.get("csvName");
 
-const gData = await gRes.text();
-
-if (gRes.ok) {
-  return new Response(
-    JSON.stringify({
-      status: "ok",
-      message: "Note sauvegardée sur Drive",
-      details: gData,
-    }),
-    {
-      status: 200,
-      headers: { ...corsHeaders, "Content-Type": "application/json" },
+      // Un CSV : le fichier de notes de son jour
+      if (csvName) {
+        if (!validCsvName(csvName)) return fail(400, "BAD_REQUEST", "csvName invalide");
+        const doc = await readNotesDoc(storage, folderId, csvName);
+        if (!doc.ok) return failureResponse(doc, requestId);
+        return jsonResponse(200, { notes: filterNotes(doc.notes, { ...query, csvName }), truncated: false }, requestId);
+      }
+
+      const listed = await listNotes(storage, folderId, query);
+      if (!listed.ok) return failureResponse(listed, requestId);
+      return jsonResponse(200, { notes: listed.notes, truncated: listed.truncated }, requestId);
     }
-  );
-}
 
-return new Response(
-  JSON.stringify({
-    error: "Erreur Google Drive",
-    details: gData,
-  }),
-  {
-    status: gRes.status,
-    headers: { ...corsHeaders, "Content-Type": "application/json" },
-  }
-);
+    if (req.method === "POST") {
+      const body = await req.json().catch(() => null);
+      if (!body) return fail(400, "BAD_REQUEST", "Corps JSON attendu");
 
+      // Pièce jointe : fichier déposé dans le dossier du CSV, puis rattaché à la note
+      const replyTo = params.get("id");
+      if (replyTo && params.get("attachment") === "true") {
+        if (!validCsvName(body.csvName)) return fail(400, "BAD_REQUEST", "csvName manquant ou invalide");
+        const denied = await checkFolder(body.folderId);
+        if (denied) return denied;
+        const fields = { fileName: notesDocName(body.csvName), detail: `attach:${replyTo}` };
+        const file = readAttachment(body);
+        if (!file.ok) return audit(failureResponse(file, requestId), fields);
 
-  } catch (err) {
-    return new Response(JSON.stringify({ error: err.message }), {
-      status: 500,
-      headers: corsHeaders,
+        const doc = await readNotesDoc(storage, body.folderId, body.csvName);
+        if (!doc.ok) return failureResponse(doc, requestId);
+        const allowed = canAttach(doc.notes, replyTo);
+        if (!allowed.ok) return audit(failureResponse(allowed, requestId), fields);
+
+        const stored = await storage.put({
+          parentId: body.folderId,
+          name: attachmentFileName(body.csvName, replyTo, file.name),
+          mimeType: file.mimeType,
+          data: file.data
+        });
+        if (!stored.ok) return audit(failureResponse(stored, requestId), fields);
+
+        const attached = { id: stored.id, name: file.name, mimeType: file.mimeType, size: file.data.length };
+        const written = await writeNotesDoc(storage, body.folderId, body.csvName, (notes) =>
+          applyNoteAttachment(notes, { id: replyTo, file: attached, author: body.author }));
+        if (!written.ok) {
+          // Note supprimée entre-temps, écriture refusée… : pas de fichier orphelin
+          await storage.delete(stored.id).catch(() => null);
+          return audit(failureResponse(written, requestId), fields);
+        }
+        return audit(jsonResponse(201, { note: written.note, attachment: written.attachment }, requestId), {
+          ...fields, fileId: stored.id, bytes: file.data.length
+        });
+      }
+
+      // Réponse au fil d'une note existante
+      if (replyTo) {
+        if (!validCsvName(body.csvName)) return fail(400, "BAD_REQUEST", "csvName manquant ou invalide");
+        const denied = await checkFolder(body.folderId);
+        if (denied) return denied;
+        const written = await writeNotesDoc(storage, body.folderId, body.csvName, (notes) =>
+          applyNoteReply(notes, { id: replyTo, author: body.author, text: body.text }));
+        const fields = { fileName: notesDocName(body.csvName), detail: `reply:${replyTo}` };
+        if (!written.ok) return audit(failureResponse(written, requestId), fields);
+        return audit(jsonResponse(201, { note: written.note, reply: written.reply }, requestId), {
+          ...fields, fileId: written.fileId
+        });
+      }
+
+      const folderId = await csvFolderOf(storage, { fileId: body.fileId, folderId: body.folderId });
+      const denied = await checkFolder(folderId);
+      if (denied) return denied;
+      const built = buildNote({ ...body, folderId });
+      if (!built.ok) return failureResponse(built, requestId);
+
+      const written = await writeNotesDoc(storage, folderId, body.csvName, (notes) => ({
+        ok: true, notes: [...notes, built.note], note: built.note
+      }));
+      const fields = { fileName: notesDocName(body.csvName), detail: `create:${built.note.id}` };
+      if (!written.ok) return audit(failureResponse(written, requestId), fields);
+      return audit(jsonResponse(201, { note: written.note }, requestId), { ...fields, fileId: written.fileId });
+    }
+
+    if (req.method === "PATCH" || req.method === "DELETE") {
+      const id = params.get("id");
+      const body = req.method === "PATCH" ? await req.json().catch(() => null) : null;
+      if (req.method === "PATCH" && !body) return fail(400, "BAD_REQUEST", "Corps JSON attendu");
+      const csvName = body?.csvName ?? params.get("csvName");
+      const folderId = body?.folderId ?? params.get("folderId");
+      if (!id || !validCsvName(csvName)) return fail(400, "BAD_REQUEST", "Paramètres id et csvName requis");
+      const denied = await checkFolder(folderId);
+      if (denied) return denied;
+
+      const hard = params.get("hard") === "true";
+      const written = await writeNotesDoc(storage, folderId, csvName, (notes) => (body
+        ? applyNoteUpdate(notes, { ...body, id })
+        : applyNoteDelete(notes, { id, rev: params.get("rev"), hard })));
+      const action = !body ? (hard ? "delete:hard" : "delete")
+        : typeof body.resolved === "boolean" ? (body.resolved ? "resolve" : "reopen") : "update";
+      const fields = { fileName: notesDocName(csvName), detail: `${action}:${id}` };
+      if (!written.ok) return audit(failureResponse(written, requestId), fields);
+
+      // Suppression définitive : pièces jointes à la corbeille (restaurables depuis Drive), sinon orphelines
+      // dans le dossier du CSV ; un échec n'annule pas la suppression de la note
+      for (const attachment of written.removed?.attachments || []) {
+        const trashed = await storage.delete(attachment.id).catch(() => null);
+        if (!trashed?.ok) console.warn("Notes : pièce jointe non supprimée :", attachment.id, trashed?.status);
+      }
+
+      return audit(jsonResponse(200, body ? { note: written.note } : { id, hard, note: written.note }, requestId), {
+        ...fields, fileId: written.fileId
+      });
+    }
+
+    return fail(405, "METHOD_NOT_ALLOWED", "Méthode non autorisée", {
+      headers: { "Allow": "GET, POST, PATCH, DELETE, OPTIONS" }
     });
+  } catch (err) {
+    console.error("Erreur notes.js :", err);
+    return fail(500, "INTERNAL_ERROR", "Erreur interne notes");
   }
 }
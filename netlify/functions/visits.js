@@ -1,6 +1,15 @@
 import fetch from "node-fetch";
+import { errorResponse, requestIdOf, upstreamErrorResponse, withRequestId } from "./lib/errors.js";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Expose-Headers": "X-Request-Id",
+};
 
 export async function handler(event) {
+  const requestId = requestIdOf(event.headers);
+  const fail = (response) => withRequestId({ ...response, headers: { ...CORS_HEADERS, ...response.headers } }, requestId);
+
   try {
     const { site = "default", add = "1" } = event.queryStringParameters;
     const increment = parseInt(add, 10) || 1;
@@ -35,7 +44,7 @@ export async function handler(event) {
     const newContent = Buffer.from(JSON.stringify(data, null, 2)).toString("base64");
 
     // 4️⃣ Commit unique sur GitHub
-    await fetch(`https://api.github.com/repos/${repo}/contents/${path}`, {
+    const resPut = await fetch(`https://api.github.com/repos/${repo}/contents/${path}`, {
       method: "PUT",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -49,17 +58,22 @@ export async function handler(event) {
         branch: "main",
       }),
     });
+    if (!resPut.ok) {
+      console.error("Erreur commit GitHub :", resPut.status, await resPut.text().catch(() => ""));
+      return fail(upstreamErrorResponse({ status: resPut.status }, "Erreur enregistrement des visites"));
+    }
 
     return {
       statusCode: 200,
       body: JSON.stringify({ site, week: weekKey, visits: data[site][weekKey] }),
       headers: {
-        "Access-Control-Allow-Origin": "*",
+        ...CORS_HEADERS,
         "Content-Type": "application/json",
+        "X-Request-Id": requestId,
       },
     };
   } catch (err) {
     console.error("Erreur visits.js :", err);
-    return { statusCode: 500, body: "Erreur interne" };
+    return fail(errorResponse(500, "INTERNAL_ERROR", "Erreur interne"));
   }
 }
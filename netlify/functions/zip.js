@@ -0,0 +1,287 @@
+// zip.js — Netlify Function (format "v2" : la réponse part en flux, sans la limite de 6 Mo du mode Lambda)
+// Archive ZIP d'un dossier d'un tenant, sous-dossiers compris (chemins conservés), filtrée par dates.
+// Le front demande d'abord un ticket à drive.js (?zip=true&id=…) : jeton, abonnement et périmètre y sont
+// vérifiés ; ce ticket court (jeton signé use:"zip") est le seul sésame accepté ici.
+// Dossier plus gros que le plafond : découpé en plusieurs archives. ?plan=true → { parts, oversized, maxBytes },
+// puis ?part=N pour chaque archive ; un fichier seul au-dessus du plafond (oversized) passe par drive.js.
+// Vars: AUTH_SECRET, GOOGLE_SERVICE_ACCOUNT_JSON (comme drive.js) et facultatif ZIP_MAX_MB (20 par défaut)
+
+import { auditOutcome, auditSource, recordAudit } from "./lib/audit.js";
+import { verifyToken } from "./lib/auth.js";
+import { errorResponse, requestIdOf, upstreamErrorResponse, withRequestId } from "./lib/errors.js";
+import { FOLDER_MIME, SHORTCUT_MIME, resolveShortcut } from "./lib/mime.js";
+import { checkTenantLimit } from "./lib/ratelimit.js";
+import { isInTenantScope } from "./lib/scope.js";
+import { getStorage } from "./lib/storage/index.js";
+import { getTenant } from "./lib/tenants.js";
+import { recordUsage } from "./lib/usage.js";
+import { ZIP_MAX_BYTES, ZIP_MAX_ENTRIES, zipArchiveSize, zipStream } from "./lib/zip.js";
+
+// Le ticket voyage dans l'URL (pas d'en-tête Authorization) → pas de préflight, origine libre
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Expose-Headers": "Content-Disposition, X-Archive-Files, X-Archive-Part, X-Request-Id, Retry-After"
+};
+
+// Plafond d'une réponse en flux chez Netlify (20 Mo, ZIP_MAX_MB selon l'offre), borné par celui du format ZIP
+const DEFAULT_MAX_MB = 20;
+const MAX_BYTES = Math.min(ZIP_MAX_BYTES, (Number(process.env.ZIP_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024);
+// Au-delà de MAX_PARTS archives, on demande de réduire la période plutôt que d'enchaîner les téléchargements
+const MAX_PARTS = 25;
+const MAX_TOTAL_BYTES = MAX_BYTES * MAX_PARTS;
+// Garde-fou contre les raccourcis qui bouclent
+const MAX_DEPTH = 8;
+
+// Réponse d'erreur (cf. lib/errors.js) au format Lambda → Response
+function toResponse({ statusCode, headers, body }, requestId) {
+  const out = withRequestId({ statusCode, headers: { ...CORS_HEADERS, ...headers }, body }, requestId);
+  return new Response(out.body, { status: out.statusCode, headers: out.headers });
+}
+
+const safeName = (name) => String(name || "").replace(/[\/\\:*?"<>|]/g, "_").trim() || "fichier";
+
+// filename= n'accepte que de l'ASCII (sinon la Response lève une erreur ByteString) : accents retirés,
+// le reste (’, œ, emoji…) remplacé ; le vrai nom part dans filename* (RFC 5987)
+function contentDisposition(fileName) {
+  const ascii = fileName.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\x20-\x7e]/gu, "_");
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// Fichiers Google (Docs, Sheets…) : pas de contenu binaire à recopier
+const isGoogleNative = (f) => String(f.mimeType || "").startsWith("application/vnd.google-apps.");
+
+// Date d'un fichier pour le filtre (comme le tableau du front) : AAAAMMJJ du nom, sinon date de modification
+function fileDay(f) {
+  const m = f.name.match(/(\d{8})/);
+  return m ? m[1] : String(f.modifiedTime || "").slice(0, 10).replace(/-/g, "");
+}
+
+// → { ok: true, entries: [{ id, path, size, modifiedTime }] }, { ok: true, tooLarge, bytes, files } dès que le
+// plafond total est dépassé (inutile de parcourir le reste), ou { ok: false, status, upstream?, retryAfter? }
+async function collectEntries(storage, tenant, folderId, { from, to }) {
+  const entries = [];
+  const usedPaths = new Set();
+  const visited = new Set();
+  let bytes = 0;
+  let tooLarge = false;
+
+  // Deux fichiers de même nom dans un dossier (possible sur Drive) → "nom (2).ext"
+  function uniquePath(p) {
+    let candidate = p;
+    for (let n = 2; usedPaths.has(candidate.toLowerCase()); n++) {
+      candidate = p.replace(/(\.[^./]*)?$/, ` (${n})$1`);
+    }
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  async function walk(id, prefix, depth) {
+    if (tooLarge || visited.has(id) || depth > MAX_DEPTH) return { ok: true };
+    visited.add(id);
+
+    // Chaque dossier listé compte dans le débit du tenant (un gros arbre ne doit pas vider le quota Drive)
+    const limit = checkTenantLimit(tenant);
+    if (!limit.ok) return { ok: false, status: 429, retryAfter: limit.retryAfter };
+
+    const listed = await storage.list(id);
+    if (!listed.ok) return listed;
+
+    // Raccourci vers un élément hors du périmètre du client → ignoré
+    const files = [];
+    for (const f of listed.files) {
+      if (f.mimeType === SHORTCUT_MIME && !(await isInTenantScope(resolveShortcut(f).id, tenant, storage))) {
+        console.warn("ZIP: raccourci hors périmètre ignoré:", f.id);
+        continue;
+      }
+      files.push(resolveShortcut(f));
+    }
+    files.sort((a, b) => a.name.localeCompare(b.name, "fr", { sensitivity: "base" }));
+
+    for (const f of files) {
+      if (tooLarge) break;
+      const name = safeName(f.name);
+      if (f.mimeType === FOLDER_MIME) {
+        // Sous-dossier illisible → ignoré, le reste de l'archive part quand même (sauf débit épuisé : archive incomplète)
+        const sub = await walk(f.id, `${prefix}${name}/`, depth + 1);
+        if (sub.status === 429) return sub;
+        if (!sub.ok) console.warn("ZIP: sous-dossier ignoré:", f.id, sub.status);
+        continue;
+      }
+      if (isGoogleNative(f)) continue;
+
+      const day = fileDay(f);
+      if ((from && day < from) || (to && day > to)) continue;
+
+      entries.push({ id: f.id, path: uniquePath(`${prefix}${name}`), size: f.size || 0, modifiedTime: f.modifiedTime });
+      bytes += Number(f.size) || 0;
+      tooLarge = bytes > MAX_TOTAL_BYTES || entries.length > ZIP_MAX_ENTRIES * MAX_PARTS;
+    }
+    return { ok: true };
+  }
+
+  const result = await walk(folderId, "", 0);
+  if (!result.ok) return result;
+  return tooLarge ? { ok: true, tooLarge, bytes, files: entries.length } : { ok: true, entries };
+}
+
+// Découpage dans l'ordre des chemins en archives sous MAX_BYTES (taille ZIP exacte, en-têtes compris).
+// Un fichier qui dépasse seul le plafond ne rentre dans aucune → oversized, téléchargé à part par le front.
+function planParts(entries) {
+  const empty = zipArchiveSize([]);
+  const parts = [];
+  const oversized = [];
+  let current = null;
+  for (const entry of entries) {
+    const cost = zipArchiveSize([entry]) - empty;
+    if (empty + cost > MAX_BYTES) {
+      oversized.push(entry);
+      continue;
+    }
+    if (!current || current.size + cost > MAX_BYTES || current.entries.length >= ZIP_MAX_ENTRIES) {
+      current = { entries: [], size: empty };
+      parts.push(current);
+    }
+    current.entries.push(entry);
+    current.size += cost;
+  }
+  return { parts, oversized };
+}
+
+export default async (req) => {
+  const requestId = requestIdOf(Object.fromEntries(req.headers));
+  const fail = (status, code, message, details) => toResponse(errorResponse(status, code, message, details), requestId);
+
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: CORS_HEADERS });
+  if (req.method !== "GET") return fail(405, "METHOD_NOT_ALLOWED", "Méthode non autorisée", { headers: { "Allow": "GET, OPTIONS" } });
+
+  const params = new URL(req.url).searchParams;
+  const ticket = verifyToken(params.get("ticket"));
+  if (!ticket || ticket.use !== "zip" || !ticket.id) return fail(401, "AUTH_REQUIRED", "Ticket invalide ou expiré");
+
+  const tenant = getTenant(ticket.sub);
+  const wantsPlan = params.get("plan") === "true";
+  const part = Number(params.get("part") || 0);
+  if (!Number.isInteger(part) || part < 0) return fail(400, "BAD_REQUEST", "Numéro d'archive invalide");
+  if (!tenant) return fail(401, "AUTH_REQUIRED", "Tenant inconnu");
+
+  // Usage et journal d'audit : l'archive compte à la fin du flux, avec les octets réellement partis
+  const count = async (status, bytes = 0, outcome) => {
+    await recordUsage(tenant.tenant, { route: "archive", status, bytes });
+    await recordAudit({
+      tenant: tenant.tenant,
+      action: "archive",
+      ...auditSource(Object.fromEntries(req.headers)),
+      fileId: ticket.id,
+      fileName: ticket.name,
+      bytes,
+      status,
+      outcome,
+      detail: [ticket.from && `from:${ticket.from}`, ticket.to && `to:${ticket.to}`, params.has("part") && `part:${part + 1}`].filter(Boolean).join(" "),
+      requestId
+    });
+  };
+  const refuse = async (response) => {
+    const body = await response.clone().text().catch(() => "");
+    await count(response.status, 0, auditOutcome(response.status, body));
+    return response;
+  };
+
+  try {
+    // Ticket émis avant que le module ne soit coupé
+    if (tenant.modules.zip === false) {
+      return refuse(fail(403, "MODULE_DISABLED", "Fonction désactivée pour ce client", { module: "zip" }));
+    }
+
+    const storage = await getStorage(tenant);
+    if (!storage) return refuse(fail(500, "CONFIG_ERROR", "Erreur d'authentification Google"));
+
+    const collected = await collectEntries(storage, tenant, ticket.id, { from: ticket.from || "", to: ticket.to || "" });
+    if (collected.status === 429) {
+      return refuse(fail(429, "RATE_LIMITED", "Trop de requêtes : réessayez dans quelques secondes", {
+        headers: { "Retry-After": String(collected.retryAfter) }, retryAfter: collected.retryAfter, scope: "tenant"
+      }));
+    }
+    if (!collected.ok) return refuse(toResponse(upstreamErrorResponse(collected, "Dossier illisible"), requestId));
+    // Parcours arrêté en route : taille minimale seulement
+    if (collected.tooLarge) {
+      return refuse(fail(413, "ARCHIVE_TOO_LARGE", "Archive trop volumineuse",
+        { size: collected.bytes, atLeast: true, maxBytes: MAX_TOTAL_BYTES, files: collected.files }));
+    }
+
+    if (!collected.entries.length) return refuse(fail(404, "NOT_FOUND", "Aucun fichier à archiver"));
+
+    const { parts, oversized } = planParts(collected.entries);
+    if (parts.length > MAX_PARTS) {
+      const size = collected.entries.reduce((total, e) => total + (Number(e.size) || 0), 0);
+      return refuse(fail(413, "ARCHIVE_TOO_LARGE", "Archive trop volumineuse",
+        { size, maxBytes: MAX_TOTAL_BYTES, files: collected.entries.length }));
+    }
+
+    // Plan seul : rien n'est téléchargé, l'archive comptera à chaque partie
+    if (wantsPlan) {
+      return new Response(JSON.stringify({
+        parts: parts.map((p, index) => ({ index, files: p.entries.length, size: p.size })),
+        oversized: oversized.map(({ id, path, size }) => ({ id, path, size: Number(size) || 0 })),
+        maxBytes: MAX_BYTES
+      }), {
+        status: 200,
+        headers: { ...CORS_HEADERS, "Content-Type": "application/json", "Cache-Control": "no-store", "X-Request-Id": requestId }
+      });
+    }
+
+    if (part >= parts.length) return refuse(fail(404, "NOT_FOUND", "Archive inexistante", { parts: parts.length }));
+    const { entries } = parts[part];
+
+    const chunks = zipStream(entries, async (entry) => {
+      const res = await storage.stream(entry.id);
+      if (!res.ok) console.warn("ZIP: fichier ignoré:", entry.path, res.status);
+      return res.ok ? res.body : null;
+    });
+
+    let sent = 0;
+    const body = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await chunks.next();
+          if (done) {
+            controller.close();
+            await count(200, sent);
+          } else {
+            sent += value.length;
+            controller.enqueue(value);
+          }
+        } catch (err) {
+          console.error("ZIP interrompu:", err);
+          controller.error(err);
+          await count(500, sent, "interrupted");
+        }
+      },
+      async cancel() {
+        await chunks.return();
+        // Annulé côté client (bouton ✖, onglet fermé) : octets partis quand même comptés
+        await count(499, sent, "cancelled");
+      }
+    });
+
+    const baseName = safeName(ticket.name || "dossier");
+    const fileName = parts.length > 1 ? `${baseName} (${part + 1} sur ${parts.length}).zip` : `${baseName}.zip`;
+    return new Response(body, {
+      status: 200,
+      headers: {
+        ...CORS_HEADERS,
+        "Content-Type": "application/zip",
+        "Content-Disposition": contentDisposition(fileName),
+        "Cache-Control": "no-store",
+        // Pas de taille annoncée : un fichier illisible est sauté en route, le front estime d'après le plan
+        "X-Archive-Files": String(entries.length),
+        "X-Archive-Part": `${part + 1}/${parts.length}`,
+        "X-Request-Id": requestId
+      }
+    });
+  } catch (err) {
+    console.error("Erreur ZIP:", err);
+    return refuse(fail(500, "INTERNAL_ERROR", "Erreur interne ZIP"));
+  }
+};